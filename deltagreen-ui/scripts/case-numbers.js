@@ -0,0 +1,253 @@
+/**
+ * Case numbers for Delta Green Player UI
+ * Numérotation des records selon un modèle défini pour le monde, par exemple DG-{YEAR}-{SEQ:4}.
+ * Chaque client propose le numéro suivant ; le MJ actif garantit l'unicité (doublons
+ * créés en même temps, imports) et numérote les records qui n'en ont pas.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsRepository } from './records-repository.js';
+import { RecordSchemas } from './record-schemas.js';
+import { RecordsManager } from './records-manager.js';
+
+export class CaseNumbers {
+  // Modèle par défaut
+  static DEFAULT_PATTERN = 'DG-{YEAR}-{SEQ:4}';
+  
+  // Jetons de séquence et d'aléatoire : {SEQ}, {SEQ:4}, {RAND:6}
+  static COUNTER_TOKEN = /\{(SEQ|RAND)(?::(\d+))?\}/;
+  
+  /**
+   * Get the numbering pattern of the world
+   * Un modèle sans séquence ni aléatoire ne peut pas être unique : une séquence est ajoutée
+   * @returns {string} Pattern
+   */
+  static getPattern() {
+    const pattern = String(game.settings.get(DeltaGreenUI.ID, 'caseNumberPattern') || '').trim() || this.DEFAULT_PATTERN;
+    return this.COUNTER_TOKEN.test(pattern) ? pattern : `${pattern}-{SEQ:4}`;
+  }
+  
+  /**
+   * Replace the date and database tokens of the pattern
+   * @private
+   * @param {string|null} databaseId - Database of the record
+   * @param {Date} date - Creation date
+   * @returns {string} Template with only {SEQ} / {RAND} tokens left
+   */
+  static _buildTemplate(databaseId, date = new Date()) {
+    const database = RecordSchemas.getDatabase(databaseId || RecordSchemas.DEFAULT_DATABASE);
+    const year = String(date.getFullYear());
+    
+    return this.getPattern()
+      .replace(/\{YEAR\}/g, year)
+      .replace(/\{YY\}/g, year.slice(-2))
+      .replace(/\{MONTH\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+      .replace(/\{DB\}/g, database.short);
+  }
+  
+  /**
+   * Build the regular expression matching the numbers of a template
+   * @private
+   * @param {string} template - Template (see _buildTemplate)
+   * @returns {RegExp} Expression capturing the sequence, if any
+   */
+  static _toRegExp(template) {
+    let seqCaptured = false;
+    const source = template.split(new RegExp(this.COUNTER_TOKEN.source, 'g')).map((part, index) => {
+      // split() intercale le nom du jeton et sa largeur entre les parties littérales
+      switch (index % 3) {
+        case 0:
+          return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        case 1:
+          if (part === 'SEQ' && !seqCaptured) {
+            seqCaptured = true;
+            return '(\\d+)';
+          }
+          return '\\d+';
+        default:
+          return '';
+      }
+    }).join('');
+    
+    return new RegExp(`^${source}$`);
+  }
+  
+  /**
+   * Fill the counter tokens of a template
+   * @private
+   * @param {string} template - Template (see _buildTemplate)
+   * @param {number} seq - Sequence value
+   * @returns {string} Case number
+   */
+  static _fill(template, seq) {
+    return template.replace(new RegExp(this.COUNTER_TOKEN.source, 'g'), (token, type, width) => {
+      const digits = Number(width) || (type === 'SEQ' ? 1 : 6);
+      if (type === 'SEQ') return String(seq).padStart(digits, '0');
+      return Array.from({ length: digits }, () => Math.floor(Math.random() * 10)).join('');
+    });
+  }
+  
+  /**
+   * Get the case numbers already in use, archived records included
+   * @returns {Set<string>} Case numbers
+   */
+  static getUsedNumbers() {
+    return new Set(RecordsRepository.getRecords()
+      .map(record => record.getFlag(DeltaGreenUI.ID, 'caseNumber'))
+      .filter(number => number)
+      .map(String));
+  }
+  
+  /**
+   * Get the last sequence value of a template
+   * Plus grande valeur parmi les numéros existants et celle retenue par le MJ (records purgés)
+   * @private
+   * @param {string} template - Template (see _buildTemplate)
+   * @param {Set<string>} used - Case numbers in use
+   * @returns {number} Last sequence value
+   */
+  static _getLastSequence(template, used) {
+    const sequences = game.settings.get(DeltaGreenUI.ID, 'caseNumberSequences') || {};
+    const pattern = this._toRegExp(template);
+    
+    let last = Number(sequences[template] || 0);
+    for (const number of used) {
+      const match = number.match(pattern);
+      if (match?.[1]) last = Math.max(last, Number(match[1]));
+    }
+    return last;
+  }
+  
+  /**
+   * Generate the next free case number
+   * @param {string|null} databaseId - Database of the new record
+   * @param {Set<string>} used - Case numbers in use (computed if omitted; add the result to it when generating in batch)
+   * @returns {string} Case number
+   */
+  static generate(databaseId = null, used = this.getUsedNumbers()) {
+    const template = this._buildTemplate(databaseId);
+    let seq = this._getLastSequence(template, used);
+    
+    let number;
+    do {
+      number = this._fill(template, ++seq);
+    } while (used.has(number));
+    
+    return number;
+  }
+  
+  /**
+   * Keep a proposed case number if it is still free
+   * @param {string} number - Number shown when the form was opened
+   * @param {string|null} databaseId - Database of the new record
+   * @returns {string} The proposed number, or the next free one
+   */
+  static reserve(number, databaseId = null) {
+    const used = this.getUsedNumbers();
+    return number && !used.has(String(number)) ? String(number) : this.generate(databaseId, used);
+  }
+  
+  /**
+   * Remember the sequence of a case number so that it is not reused after a purge (GM only)
+   * @private
+   * @param {Array<{number: string, databaseId: string}>} entries - Assigned case numbers
+   */
+  static async _rememberSequences(entries) {
+    const sequences = foundry.utils.deepClone(game.settings.get(DeltaGreenUI.ID, 'caseNumberSequences') || {});
+    let changed = false;
+    
+    for (const { number, databaseId } of entries) {
+      const template = this._buildTemplate(databaseId);
+      const match = String(number).match(this._toRegExp(template));
+      if (match?.[1] && Number(match[1]) > Number(sequences[template] || 0)) {
+        sequences[template] = Number(match[1]);
+        changed = true;
+      }
+    }
+    
+    if (changed) await game.settings.set(DeltaGreenUI.ID, 'caseNumberSequences', sequences);
+  }
+  
+  /**
+   * Build the update giving a new case number to a record
+   * @private
+   * @param {Actor} record - Record
+   * @param {string} number - New case number
+   * @returns {Object} Actor update data
+   */
+  static _buildUpdate(record, number) {
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(record));
+    const values = record.flags[DeltaGreenUI.ID] || {};
+    
+    return {
+      _id: record.id,
+      name: RecordsManager.buildRecordName(database, number, values),
+      [`flags.${DeltaGreenUI.ID}.caseNumber`]: number
+    };
+  }
+  
+  /**
+   * Make sure a new or changed record has a unique case number (active GM only)
+   * Le record qui vient d'être créé ou modifié cède le numéro à celui qui l'avait déjà
+   * @param {Actor} record - Record
+   */
+  static async enforce(record) {
+    if (!DeltaGreenUI.isActiveGM() || !RecordsRepository.isRecord(record)) return;
+    
+    const databaseId = RecordsRepository.getDatabaseId(record);
+    const number = record.getFlag(DeltaGreenUI.ID, 'caseNumber');
+    const duplicate = !!number && RecordsRepository.getRecords()
+      .some(other => other.id !== record.id && String(other.getFlag(DeltaGreenUI.ID, 'caseNumber')) === String(number));
+    
+    if (number && !duplicate) {
+      await this._rememberSequences([{ number, databaseId }]);
+      return;
+    }
+    
+    const newNumber = this.generate(databaseId);
+    console.log(`Delta Green UI | Assigning case number ${newNumber} to record: ${record.name}`);
+    await record.update(this._buildUpdate(record, newNumber));
+    await this._rememberSequences([{ number: newNumber, databaseId }]);
+  }
+  
+  /**
+   * Number the records lacking a case number or sharing one (active GM only)
+   * Les records sont traités du plus ancien au plus récent : le premier garde son numéro
+   */
+  static async backfill() {
+    if (!DeltaGreenUI.isActiveGM()) return;
+    
+    const records = RecordsRepository.getRecords().sort((a, b) =>
+      (a.getFlag(DeltaGreenUI.ID, 'createdAt') || 0) - (b.getFlag(DeltaGreenUI.ID, 'createdAt') || 0));
+    
+    const used = new Set();
+    const pending = [];
+    for (const record of records) {
+      const number = record.getFlag(DeltaGreenUI.ID, 'caseNumber');
+      if (number && !used.has(String(number))) {
+        used.add(String(number));
+      } else {
+        pending.push(record);
+      }
+    }
+    if (pending.length === 0) return;
+    
+    const updates = [];
+    const assigned = [];
+    for (const record of pending) {
+      const databaseId = RecordsRepository.getDatabaseId(record);
+      const number = this.generate(databaseId, used);
+      used.add(number);
+      updates.push(this._buildUpdate(record, number));
+      assigned.push({ number, databaseId });
+    }
+    
+    try {
+      await Actor.updateDocuments(updates);
+      await this._rememberSequences(assigned);
+      ui.notifications.info(`Case numbers assigned to ${updates.length} record(s)`);
+    } catch (error) {
+      console.error('Delta Green UI | Error assigning case numbers:', error);
+    }
+  }
+}
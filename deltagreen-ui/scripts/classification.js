@@ -0,0 +1,185 @@
+/**
+ * Classification and clearance for Delta Green Player UI
+ * Chaque champ d'un record a un niveau de classification, chaque agent une habilitation.
+ * Les paragraphes des zones de texte portent un marquage en tête, comme sur un vrai
+ * document : "(U)", "(C)", "(S)" ou "(TS)".
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { SafeHTML } from './safe-html.js';
+
+export class Classification {
+  // Niveaux de classification, du plus bas au plus haut
+  static LEVELS = [
+    { value: 0, label: 'UNCLASSIFIED', marking: 'U' },
+    { value: 1, label: 'CONFIDENTIAL', marking: 'C' },
+    { value: 2, label: 'SECRET', marking: 'S' },
+    { value: 3, label: 'TOP SECRET', marking: 'TS' }
+  ];
+  
+  // Marquage en tête de paragraphe : "(S) texte..."
+  static PARAGRAPH_MARKING = /^\s*\((U|C|S|TS)\)\s*/;
+  
+  /**
+   * Get the highest classification level
+   * @returns {number} Highest level
+   */
+  static get maxLevel() {
+    return this.LEVELS[this.LEVELS.length - 1].value;
+  }
+  
+  /**
+   * Get a level definition
+   * @param {number} level - Level value
+   * @returns {Object} Level definition (UNCLASSIFIED if unknown)
+   */
+  static getLevel(level) {
+    return this.LEVELS.find(l => l.value === Number(level)) || this.LEVELS[0];
+  }
+  
+  /**
+   * Get the clearance of a user
+   * Le MJ a toujours l'habilitation maximale
+   * @param {User} user - User (current user if omitted)
+   * @returns {number} Clearance level
+   */
+  static getClearance(user = game.user) {
+    if (!user) return 0;
+    if (user.isGM) return this.maxLevel;
+    
+    const clearances = game.settings.get(DeltaGreenUI.ID, 'clearances') || {};
+    return Number(clearances[user.id] ?? 0);
+  }
+  
+  /**
+   * Set the clearance of a user (GM only)
+   * @param {string} userId - User ID
+   * @param {number} level - Clearance level
+   */
+  static async setClearance(userId, level) {
+    const clearances = foundry.utils.deepClone(game.settings.get(DeltaGreenUI.ID, 'clearances') || {});
+    clearances[userId] = Number(level);
+    await game.settings.set(DeltaGreenUI.ID, 'clearances', clearances);
+  }
+  
+  /**
+   * Check if a user may read a classification level
+   * @param {number} level - Classification level
+   * @param {User} user - User (current user if omitted)
+   * @returns {boolean} true if the user's clearance is high enough
+   */
+  static canView(level, user = game.user) {
+    return this.getClearance(user) >= Number(level || 0);
+  }
+  
+  /**
+   * Get the classification level of a record field
+   * @param {Actor} record - Record
+   * @param {string} key - Field key
+   * @returns {number} Classification level
+   */
+  static getFieldLevel(record, key) {
+    const classification = record?.getFlag(DeltaGreenUI.ID, 'classification') || {};
+    return Number(classification[key] || 0);
+  }
+  
+  /**
+   * Check if a user may read a record field
+   * @param {Actor} record - Record
+   * @param {string} key - Field key
+   * @param {User} user - User (current user if omitted)
+   * @returns {boolean} true if the field is readable
+   */
+  static canViewField(record, key, user = game.user) {
+    return this.canView(this.getFieldLevel(record, key), user);
+  }
+  
+  /**
+   * Set the classification level of a record field (GM only)
+   * @param {Actor} record - Record
+   * @param {string} key - Field key
+   * @param {number} level - Classification level
+   */
+  static async setFieldLevel(record, key, level) {
+    await record.update({ [`flags.${DeltaGreenUI.ID}.classification.${key}`]: Number(level) });
+  }
+  
+  /**
+   * Split a text into classified paragraphs
+   * Un paragraphe sans marquage est non classifié
+   * @param {string} text - Text with portion markings
+   * @returns {Array<{level: number, text: string}>} Paragraphs
+   */
+  static parseParagraphs(text) {
+    if (!text) return [];
+    
+    return String(text).split(/\n\s*\n/).map(paragraph => {
+      const match = paragraph.match(this.PARAGRAPH_MARKING);
+      const level = match ? this.LEVELS.find(l => l.marking === match[1]).value : 0;
+      return { level, text: paragraph };
+    });
+  }
+  
+  /**
+   * Check if a text has paragraphs the user may not read
+   * @param {string} text - Text with portion markings
+   * @param {User} user - User (current user if omitted)
+   * @returns {boolean} true if at least one paragraph is above the user's clearance
+   */
+  static hasHiddenParagraphs(text, user = game.user) {
+    return this.parseParagraphs(text).some(paragraph => !this.canView(paragraph.level, user));
+  }
+  
+  /**
+   * Get the paragraphs of a text the user may read
+   * @param {string} text - Text with portion markings
+   * @param {User} user - User (current user if omitted)
+   * @returns {string} Readable paragraphs, hidden ones removed
+   */
+  static getVisibleText(text, user = game.user) {
+    return this.parseParagraphs(text)
+      .filter(paragraph => this.canView(paragraph.level, user))
+      .map(paragraph => paragraph.text)
+      .join('\n\n');
+  }
+  
+  /**
+   * Build a redaction bar
+   * Seul le libellé est injecté : la valeur classifiée n'entre jamais dans le DOM
+   * @returns {string} Generated HTML
+   */
+  static renderRedactedHTML() {
+    return '<div class="dg-redacted">[REDACTED]</div>';
+  }
+  
+  /**
+   * Build the read-only view of a text with redacted paragraphs
+   * @param {string} text - Text with portion markings
+   * @param {User} user - User (current user if omitted)
+   * @returns {string} Generated HTML
+   */
+  static renderParagraphsHTML(text, user = game.user) {
+    return this.parseParagraphs(text).map(paragraph => {
+      if (!this.canView(paragraph.level, user)) {
+        return this.renderRedactedHTML();
+      }
+      const content = SafeHTML.escape(paragraph.text).replace(/\n/g, '<br>');
+      return `<p class="dg-paragraph">${content}</p>`;
+    }).join('');
+  }
+  
+  /**
+   * Build the classification selector of a field (GM only)
+   * @param {string} key - Field key
+   * @param {number} level - Current level
+   * @returns {string} Generated HTML
+   */
+  static renderLevelSelectHTML(key, level) {
+    const options = this.LEVELS.map(l => {
+      const selected = l.value === Number(level) ? ' selected' : '';
+      return `<option value="${l.value}"${selected}>${l.marking}</option>`;
+    }).join('');
+    
+    return `<select class="dg-classification-select" data-field="${key}" title="Classification">${options}</select>`;
+  }
+}
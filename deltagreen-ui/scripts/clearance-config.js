@@ -0,0 +1,55 @@
+/**
+ * Agent clearance editor for Delta Green Player UI (GM only)
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { Classification } from './classification.js';
+
+export class ClearanceConfig extends FormApplication {
+  /**
+   * Default application options
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'dg-clearance-config',
+      title: 'Agent Clearances',
+      template: `modules/${DeltaGreenUI.ID}/templates/clearance-config.html`,
+      width: 400,
+      closeOnSubmit: true
+    });
+  }
+  
+  /**
+   * Prepare template data
+   * @returns {Object} Players with their clearance
+   */
+  getData() {
+    const agents = game.users.filter(u => !u.isGM).map(user => {
+      const clearance = Classification.getClearance(user);
+      return {
+        id: user.id,
+        name: user.name,
+        character: user.character?.name || 'NO AGENT ASSIGNED',
+        levels: Classification.LEVELS.map(l => ({ ...l, selected: l.value === clearance }))
+      };
+    });
+    
+    return { agents };
+  }
+  
+  /**
+   * Save clearances
+   * @param {Event} event - Submit event
+   * @param {Object} formData - Form data
+   */
+  async _updateObject(event, formData) {
+    const clearances = {};
+    for (const [key, value] of Object.entries(formData)) {
+      if (key.startsWith('clearance-')) {
+        clearances[key.slice('clearance-'.length)] = Number(value);
+      }
+    }
+    
+    await game.settings.set(DeltaGreenUI.ID, 'clearances', clearances);
+  }
+}
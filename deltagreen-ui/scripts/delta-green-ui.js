@@ -7,7 +7,17 @@
 // Module imports
 import { UIComponents } from './ui-components.js';
 import { RecordsManager } from './records-manager.js';
+import { RecordLinks } from './record-links.js';
+import { RecordStatus } from './record-status.js';
 import { MailSystem } from './mail-system.js';
+import { MailEffects } from './mail-effects.js';
+import { RecordsRepository } from './records-repository.js';
+import { Classification } from './classification.js';
+import { RecordsFolderConfig } from './records-folder-config.js';
+import { RecordSchemaConfig } from './record-schema-config.js';
+import { ClearanceConfig } from './clearance-config.js';
+import { MailChannelConfig } from './mail-channel-config.js';
+import { SafeHTML } from './safe-html.js';
 
 /**
  * Main module class
@@ -77,6 +87,220 @@ export class DeltaGreenUI {
       onChange: value => this.applyTheme(value)
     });
     
+    game.settings.register(this.ID, 'mailBeep', {
+      name: 'Mail Beep',
+      hint: 'Play a terminal beep when a message arrives while the CRT interface is open',
+      scope: 'client',
+      config: true,
+      type: Boolean,
+      default: true
+    });
+    
+    game.settings.register(this.ID, 'mailTeletype', {
+      name: 'Teletype Effect',
+      hint: 'Print new HANDLER messages character by character when they are opened (click to skip)',
+      scope: 'client',
+      config: true,
+      type: Boolean,
+      default: true
+    });
+    
+    game.settings.register(this.ID, 'mailTeletypeSpeed', {
+      name: 'Teletype Speed',
+      hint: 'Characters printed per second by the teletype effect',
+      scope: 'client',
+      config: true,
+      type: Number,
+      default: 40,
+      range: {
+        min: 10,
+        max: 120,
+        step: 10
+      }
+    });
+    
+    game.settings.register(this.ID, 'reducedMotion', {
+      name: 'Reduced Motion',
+      hint: 'Disable the teletype, signal interference and blinking effects of the MAIL view',
+      scope: 'client',
+      config: true,
+      type: Boolean,
+      default: false,
+      onChange: () => MailEffects.applyReducedMotion()
+    });
+    
+    // Dossier de la base de records par défaut, stocké par ID (choisi via le menu ci-dessous)
+    game.settings.register(this.ID, 'recordsFolder', {
+      scope: 'world',
+      config: false,
+      type: String,
+      default: '',
+      onChange: () => this.scheduleRecordsRefresh()
+    });
+    
+    // Dossiers des autres bases de records (ID de base -> ID de dossier)
+    game.settings.register(this.ID, 'databaseFolders', {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => this.scheduleRecordsRefresh()
+    });
+    
+    game.settings.register(this.ID, 'recordsIncludeSubfolders', {
+      scope: 'world',
+      config: false,
+      type: Boolean,
+      default: false,
+      onChange: () => this.scheduleRecordsRefresh()
+    });
+    
+    game.settings.registerMenu(this.ID, 'recordsFolderMenu', {
+      name: 'Records Folders',
+      label: 'Choose Folders',
+      hint: 'Actor folder of each records database (persons, locations, organizations, evidence)',
+      icon: 'fas fa-folder-open',
+      type: RecordsFolderConfig,
+      restricted: true
+    });
+    
+    // Champs personnalisés des bases de records (ID de base -> liste de champs)
+    game.settings.register(this.ID, 'recordSchemas', {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => this.scheduleRecordsRefresh()
+    });
+    
+    game.settings.registerMenu(this.ID, 'recordSchemaMenu', {
+      name: 'Record Schema',
+      label: 'Edit Fields',
+      hint: 'Define the fields of each records database (key, label, type, required, order)',
+      icon: 'fas fa-list',
+      type: RecordSchemaConfig,
+      restricted: true
+    });
+    
+    // Habilitation des agents (ID utilisateur -> niveau), modifiable par le MJ uniquement
+    game.settings.register(this.ID, 'clearances', {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => {
+        this.updateAgentName();
+        this.scheduleRecordsRefresh();
+        RecordsManager.refreshClassification();
+      }
+    });
+    
+    // Politique de permissions des records, appliquée par le MJ actif uniquement
+    game.settings.register(this.ID, 'recordPermissionPolicy', {
+      name: 'Records Permission Policy',
+      hint: 'Ownership given to records created or filed by the interface. "GM-managed" leaves permissions untouched.',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: 'owner',
+      choices: {
+        'owner': 'Owner for all players',
+        'observer': 'Observer for all players (read-only)',
+        'creator': 'Owned by creator only',
+        'gm': 'GM-managed'
+      },
+      onChange: () => RecordsManager.applyPermissionPolicyToAll()
+    });
+    
+    // Rôle minimal pour archiver un record possédé (restauration et purge réservées au MJ)
+    game.settings.register(this.ID, 'recordArchiveRole', {
+      name: 'Records Archiving Role',
+      hint: 'Minimum role needed to archive a record the user owns. Only the GM can restore or purge archived records.',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: 'PLAYER',
+      choices: {
+        'PLAYER': 'Player',
+        'TRUSTED': 'Trusted Player',
+        'ASSISTANT': 'Assistant GM',
+        'GAMEMASTER': 'Game Master'
+      },
+      onChange: () => RecordsManager.refreshClassification()
+    });
+    
+    // Rôle minimal pour changer le statut et les étiquettes d'un record possédé
+    game.settings.register(this.ID, 'recordStatusRole', {
+      name: 'Records Status Role',
+      hint: 'Minimum role needed to change the status and tags of a record the user owns.',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: 'PLAYER',
+      choices: {
+        'PLAYER': 'Player',
+        'TRUSTED': 'Trusted Player',
+        'ASSISTANT': 'Assistant GM',
+        'GAMEMASTER': 'Game Master'
+      },
+      onChange: () => RecordsManager.refreshClassification()
+    });
+    
+    // Modèle des numéros de dossier ; l'unicité est garantie par le MJ actif
+    game.settings.register(this.ID, 'caseNumberPattern', {
+      name: 'Case Number Pattern',
+      hint: 'Numbering of new records. Tokens: {YEAR}, {YY}, {MONTH}, {DB} (database code), {SEQ:4} (sequence, 4 digits), {RAND:6} (random digits).',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: 'DG-{YEAR}-{SEQ:4}'
+    });
+    
+    // Dernière valeur de séquence attribuée par modèle, pour ne pas réutiliser les numéros purgés
+    game.settings.register(this.ID, 'caseNumberSequences', {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {}
+    });
+    
+    game.settings.registerMenu(this.ID, 'clearanceMenu', {
+      name: 'Agent Clearances',
+      label: 'Set Clearances',
+      hint: 'Clearance level of each agent; record fields classified above it are redacted',
+      icon: 'fas fa-user-shield',
+      type: ClearanceConfig,
+      restricted: true
+    });
+    
+    // Canaux de messagerie (ID de canal -> nom et membres), définis par le MJ
+    game.settings.register(this.ID, 'mailChannels', {
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => MailSystem.loadMessages()
+    });
+    
+    game.settings.register(this.ID, 'mailArchive', {
+      name: 'Mail Archive',
+      hint: 'Keep MAIL conversations across chat flushes. Public messages are stored in a journal entry. Private conversations are only kept in the browser that received them: mail received while offline, read on another computer or stored before browser data was cleared is lost when the chat is flushed',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: true,
+      onChange: () => MailSystem.loadMessages()
+    });
+    
+    game.settings.registerMenu(this.ID, 'mailChannelMenu', {
+      name: 'Mail Channels',
+      label: 'Edit Channels',
+      hint: 'Named channels (cells) of agents for the MAIL view; their messages are only sent to their members',
+      icon: 'fas fa-comments',
+      type: MailChannelConfig,
+      restricted: true
+    });
+    
     // Valeur fixe pour le z-index (non configurable)
     this.zIndex = 9;
   }
@@ -149,55 +373,84 @@ export class DeltaGreenUI {
     });
     
     // Actor hooks (records)
+    // Les vues ne sont rafraîchies qu'en réponse aux événements, regroupés par debounce
     Hooks.on('createActor', (actor, options, userId) => {
-      console.log('Delta Green UI | New actor created, checking folder...');
-      
-      // Refresh immediately
-      this.loadLastEntries();
-      
-      // Then refresh after a short delay to ensure the actor is properly associated with the folder
-      setTimeout(() => {
-        // Check again if the actor is in the PC Records folder
-        const updatedActor = game.actors.get(actor.id);
-        if (updatedActor && updatedActor.folder && updatedActor.folder.name === "PC Records") {
-          console.log('Delta Green UI | Actor confirmed in PC Records, refreshing latest entries');
-          this.loadLastEntries();
-          this.forceDisplayLastEntries();
-        }
-      }, 500);
+      if (RecordsRepository.isRecord(actor)) {
+        console.log('Delta Green UI | Record created, scheduling refresh');
+        this.scheduleRecordsRefresh();
+      }
     });
     
     Hooks.on('updateActor', (actor, changes, options, userId) => {
-      console.log('Delta Green UI | Actor updated, checking folder...');
-      
-      // Refresh immediately
-      this.loadLastEntries();
-      
-      // Then refresh after a short delay to ensure the actor is properly associated with the folder
-      setTimeout(() => {
-        // Check again if the actor is in the PC Records folder
-        const updatedActor = game.actors.get(actor.id);
-        if (updatedActor && updatedActor.folder && updatedActor.folder.name === "PC Records") {
-          console.log('Delta Green UI | Actor confirmed in PC Records, refreshing latest entries');
-          this.loadLastEntries();
-          this.forceDisplayLastEntries();
-        }
-      }, 500);
+      // Un changement de dossier peut faire entrer ou sortir l'acteur des records
+      if (RecordsRepository.isRecord(actor) || ('folder' in changes)) {
+        console.log('Delta Green UI | Record updated, scheduling refresh');
+        this.scheduleRecordsRefresh();
+      }
     });
     
     Hooks.on('deleteActor', (actor, options, userId) => {
-      // Since the actor is already deleted, we can't check its folder
-      // So we systematically refresh the latest entries
-      console.log('Delta Green UI | Actor deleted, refreshing latest entries');
-      this.loadLastEntries();
-      
-      // Force immediate display of entries after a short delay
-      setTimeout(() => {
-        console.log('Delta Green UI | Forcing display after actor deletion');
-        this.loadLastEntries();
-        this.forceDisplayLastEntries();
-      }, 500);
+      // Le dossier reste résolvable sur le document supprimé
+      if (RecordsRepository.isRecord(actor)) {
+        console.log('Delta Green UI | Record deleted, scheduling refresh');
+        this.scheduleRecordsRefresh();
+      }
     });
+    
+    Hooks.on('updateFolder', (folder, changes, options, userId) => {
+      // Un déplacement peut faire entrer ou sortir un sous-dossier des records
+      if (folder.type === "Actor" && (RecordsRepository.isRecordsFolder(folder) || ('folder' in changes))) {
+        console.log('Delta Green UI | Records folder updated, scheduling refresh');
+        this.scheduleRecordsRefresh();
+      }
+    });
+    
+    // User hooks (player list)
+    Hooks.on('userConnected', (user, connected) => {
+      console.log(`Delta Green UI | User ${connected ? 'connected' : 'disconnected'}, scheduling player list refresh`);
+      this.schedulePlayersRefresh();
+    });
+  }
+  
+  /**
+   * Schedule a refresh of the views showing records (debounced)
+   */
+  static scheduleRecordsRefresh() {
+    if (!this._debouncedRecordsRefresh) {
+      this._debouncedRecordsRefresh = foundry.utils.debounce(() => this.refreshRecordsViews(), this.REFRESH_DELAY);
+    }
+    this._debouncedRecordsRefresh();
+  }
+  
+  /**
+   * Schedule a refresh of the player list (debounced)
+   */
+  static schedulePlayersRefresh() {
+    if (!this._debouncedPlayersRefresh) {
+      this._debouncedPlayersRefresh = foundry.utils.debounce(() => UIComponents.updatePlayersList(), this.REFRESH_DELAY);
+    }
+    this._debouncedPlayersRefresh();
+  }
+  
+  /**
+   * Refresh LAST ENTRIES and the records list
+   */
+  static refreshRecordsViews() {
+    // Rien à rafraîchir tant que l'interface n'est pas rendue
+    if ($('#dg-crt-container').length === 0) return;
+    
+    console.log('Delta Green UI | Refreshing records views');
+    this.loadLastEntries();
+    RecordsManager.refreshLinks();
+    RecordLinks.refreshGraph();
+    
+    // Conserver la recherche en cours plutôt que de réafficher toute la liste
+    const searchTerm = $('#dg-search-input').val();
+    if (searchTerm) {
+      RecordsManager.searchRecords(searchTerm);
+    } else {
+      RecordsManager.loadRecords();
+    }
   }
   
   /**
@@ -223,10 +476,10 @@ export class DeltaGreenUI {
         RecordsManager.init();
         MailSystem.init();
         
-        // Create folder for NPCs if it doesn't exist
-        console.log('Delta Green UI | Creating PC Records folder if needed');
-        this.createPCRecordsFolder().then(() => {
-          console.log('Delta Green UI | PC Records folder check completed');
+        // Create records folders if they don't exist
+        console.log('Delta Green UI | Creating records folders if needed');
+        RecordsRepository.ensureFolders().then(() => {
+          console.log('Delta Green UI | Records folders check completed');
           
           // Immediate loading of latest entries
           console.log('Delta Green UI | Immediate loading of latest entries from onReady');
@@ -277,7 +530,7 @@ export class DeltaGreenUI {
             ui.notifications.error("Error rendering Delta Green UI interface");
           });
         }).catch(error => {
-          console.error('Delta Green UI | Error creating PC Records folder:', error);
+          console.error('Delta Green UI | Error creating records folders:', error);
         });
       }).catch(error => {
         console.error('Delta Green UI | Error loading templates:', error);
@@ -299,7 +552,8 @@ export class DeltaGreenUI {
         `modules/${this.ID}/templates/records-view.html`,
         `modules/${this.ID}/templates/mail-view.html`,
         `modules/${this.ID}/templates/journal-view.html`, // Ajout du template journal-view.html
-        `modules/${this.ID}/templates/scene-view.html` // Ajout du template scene-view.html
+        `modules/${this.ID}/templates/scene-view.html`, // Ajout du template scene-view.html
+        `modules/${this.ID}/templates/relations-view.html`
       ];
       
       console.log('Delta Green UI | Template paths:', templatePaths);
@@ -421,18 +675,6 @@ export class DeltaGreenUI {
       
       // Show login animation
       this.showLoginAnimation();
-      
-      // Restart refresh interval
-      if (!this.refreshIntervalId) {
-        console.log('Delta Green UI | Restarting refresh interval');
-        this.refreshIntervalId = setInterval(() => {
-          if (this.isInterfaceActive()) {
-            this.loadLastEntries();
-            // Force immediate display without delay for smooth transition
-            this.forceDisplayLastEntries();
-          }
-        }, 500); // Refresh interval (increased from 100ms to 500ms for better performance)
-      }
     } else {
       console.log('Delta Green UI | Interface container is already visible');
     }
@@ -645,25 +887,6 @@ export class DeltaGreenUI {
       });
   }
   
-  /**
-   * Create folder for NPCs
-   */
-  static async createPCRecordsFolder() {
-    // Check if folder already exists
-    const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-    
-    // If folder doesn't exist, create it
-    if (!folder) {
-      await Folder.create({
-        name: "PC Records",
-        type: "Actor",
-        parent: null,
-        color: "#33ff33"
-      });
-      console.log('Delta Green UI | "PC Records" folder created');
-    }
-  }
-  
   /**
    * Toggle interface
    * This method is used only by the LOG OUT button inside the interface
@@ -692,13 +915,6 @@ export class DeltaGreenUI {
       
       // Remove class from body to show Foundry elements
       $('body').removeClass('dg-crt-active');
-      
-      // Stop refresh interval to avoid glitches
-      if (this.refreshIntervalId) {
-        console.log('Delta Green UI | Stopping refresh interval');
-        clearInterval(this.refreshIntervalId);
-        this.refreshIntervalId = null;
-      }
     } else {
       // Activation
       container.show();
@@ -711,18 +927,6 @@ export class DeltaGreenUI {
       
       // Force immediate display of entries
       this.forceDisplayLastEntries();
-      
-      // Restart refresh interval
-      if (!this.refreshIntervalId) {
-        console.log('Delta Green UI | Restarting refresh interval');
-        this.refreshIntervalId = setInterval(() => {
-          if (this.isInterfaceActive()) {
-            this.loadLastEntries();
-            // Force immediate display without delay for smooth transition
-            this.forceDisplayLastEntries();
-          }
-        }, 500); // Refresh interval (increased from 100ms to 500ms for better performance)
-      }
     }
   }
   
@@ -740,6 +944,20 @@ export class DeltaGreenUI {
     return game.user.isGM;
   }
   
+  /**
+   * Check if this client is the active GM
+   * Un seul client doit écrire les mises à jour automatiques, pour éviter les doublons
+   * @returns {boolean} true if the current user is the designated active GM
+   */
+  static isActiveGM() {
+    if (!game.user.isGM) return false;
+    
+    // v11+ : MJ désigné par Foundry ; sinon le MJ connecté avec le plus petit ID
+    const activeGM = game.users.activeGM
+      ?? game.users.filter(u => u.isGM && u.active).sort((a, b) => a.id.localeCompare(b.id))[0];
+    return activeGM?.id === game.user.id;
+  }
+  
   /**
    * Render main interface
    */
@@ -782,6 +1000,7 @@ export class DeltaGreenUI {
         const mailResponse = await fetch(`modules/${this.ID}/templates/mail-view.html`);
         const journalResponse = await fetch(`modules/${this.ID}/templates/journal-view.html`);
         const sceneResponse = await fetch(`modules/${this.ID}/templates/scene-view.html`);
+        const relationsResponse = await fetch(`modules/${this.ID}/templates/relations-view.html`);
         
         if (recordsResponse.ok) {
           const recordsContent = await recordsResponse.text();
@@ -806,6 +1025,12 @@ export class DeltaGreenUI {
           $('#dg-view-scene').html(sceneContent);
           console.log('Delta Green UI | Scene template injected');
         }
+        
+        if (relationsResponse.ok) {
+          const relationsContent = await relationsResponse.text();
+          $('#dg-view-relations').html(relationsContent);
+          console.log('Delta Green UI | Relations template injected');
+        }
       } catch (error) {
         console.error('Delta Green UI | Error injecting templates:', error);
       }
@@ -865,33 +1090,6 @@ export class DeltaGreenUI {
       console.log('Delta Green UI | Loading scene info');
       this.loadSceneInfo();
       
-      // Force display after a delay to ensure DOM is ready
-      console.log('Delta Green UI | Setting up delayed force display');
-      setTimeout(() => {
-        console.log('Delta Green UI | Delayed force display triggered');
-        this.forceDisplayLastEntries();
-      }, 1000);
-      
-      // Stop old interval if it exists
-      if (this.refreshIntervalId) {
-        console.log('Delta Green UI | Stopping old refresh interval');
-        clearInterval(this.refreshIntervalId);
-      }
-      
-      // Create new refresh interval
-      console.log('Delta Green UI | Creating new refresh interval');
-      this.refreshIntervalId = setInterval(() => {
-        // Check if interface is active before refreshing
-        if (this.isInterfaceActive()) {
-          console.log('Delta Green UI | Periodic refresh of entries');
-          this.loadLastEntries();
-          // Force immediate display without delay for smooth transition
-          this.forceDisplayLastEntries();
-        } else {
-          console.log('Delta Green UI | Interface inactive, no refresh');
-        }
-      }, 500); // Refresh interval (increased from 100ms to 500ms for better performance)
-      
       // Restore state - moved to the end to ensure everything is set up
       if (game.user.getFlag(this.ID, 'interfaceActive') === true) {
         console.log('Delta Green UI | Restoring active state');
@@ -924,9 +1122,14 @@ export class DeltaGreenUI {
       
       if (view === 'logout') {
         console.log('Delta Green UI | Logout attempt via delegation');
-        // Deactivate interface
-        $('#dg-crt-container').hide();
-        game.user.setFlag(DeltaGreenUI.ID, 'interfaceActive', false);
+        // Ne pas quitter l'interface sans confirmation si un record n'est pas enregistré
+        RecordsManager.confirmDiscardChanges().then(confirmed => {
+          if (!confirmed) return;
+          
+          // Deactivate interface
+          $('#dg-crt-container').hide();
+          game.user.setFlag(DeltaGreenUI.ID, 'interfaceActive', false);
+        });
         return;
       }
       
@@ -952,11 +1155,21 @@ export class DeltaGreenUI {
       $('.dg-view').removeClass('active');
       $(`#dg-view-${view}`).addClass('active');
       
+      // Rafraîchir les dates relatives de LAST ENTRIES au retour sur SYSTEM
+      if (view === 'system') {
+        DeltaGreenUI.loadLastEntries();
+      }
+      
       // If in records view, load records
       if (view === 'records') {
         RecordsManager.loadRecords();
       }
       
+      // If in relations view, draw the link graph
+      if (view === 'relations') {
+        RecordLinks.showGraph();
+      }
+      
       // If in mail view, load messages
       if (view === 'mail') {
         MailSystem.loadMessages();
@@ -970,24 +1183,20 @@ export class DeltaGreenUI {
     });
     
     // Direct handling of click on LOG OUT button
-    $(document).on('click', '#dg-logout-button', function(e) {
+    $(document).on('click', '#dg-logout-button', async function(e) {
       console.log('Delta Green UI | Direct click on LOG OUT button');
       e.preventDefault();
       e.stopPropagation();
       
+      // Ne pas quitter l'interface sans confirmation si un record n'est pas enregistré
+      if (!(await RecordsManager.confirmDiscardChanges())) return;
+      
       // Deactivate interface
       $('#dg-crt-container').hide();
       game.user.setFlag(DeltaGreenUI.ID, 'interfaceActive', false);
       
       // Remove class from body to show Foundry elements
       $('body').removeClass('dg-crt-active');
-      
-      // Stop refresh interval to avoid glitches
-      if (DeltaGreenUI.refreshIntervalId) {
-        console.log('Delta Green UI | Stopping refresh interval (via LOG OUT)');
-        clearInterval(DeltaGreenUI.refreshIntervalId);
-        DeltaGreenUI.refreshIntervalId = null;
-      }
     });
     
     // Handle agent sheet view button
@@ -1018,10 +1227,13 @@ export class DeltaGreenUI {
     } else {
       $('#dg-current-agent-name').text('NO AGENT ASSIGNED');
     }
+    
+    // Habilitation de l'agent
+    $('#dg-current-clearance').text(Classification.getLevel(Classification.getClearance()).label);
   }
   
-  // Variable to store refresh interval ID
-  static refreshIntervalId = null;
+  // Délai de regroupement des rafraîchissements déclenchés par les hooks (ms)
+  static REFRESH_DELAY = 250;
   
   /**
    * Force display of entries in "Last Entries" section
@@ -1096,7 +1308,7 @@ export class DeltaGreenUI {
         const characterName = player.character ? player.character.name : 'NO AGENT ASSIGNED';
         $list.append(`
           <li class="dg-result-item" data-user-id="${player.id}">
-            ${player.name} - ${characterName}
+            ${SafeHTML.escape(player.name)} - ${SafeHTML.escape(characterName)}
           </li>
         `);
       });
@@ -1254,7 +1466,7 @@ export class DeltaGreenUI {
       
       // Add journals to list
       journals.forEach(journal => {
-        const $item = $(`<li class="dg-result-item" data-journal-id="${journal.id}">${journal.name}</li>`);
+        const $item = $(`<li class="dg-result-item" data-journal-id="${journal.id}">${SafeHTML.escape(journal.name)}</li>`);
         $list.append($item);
         
         // Add click handler
@@ -1274,53 +1486,10 @@ export class DeltaGreenUI {
     }
   }
   
-  // Variable pour suivre si un chargement est en cours
-  static isLoadingEntries = false;
-  
-  // Variable pour stocker le timestamp du dernier chargement réussi
-  static lastSuccessfulLoad = 0;
-  
-  // Nombre d'erreurs consécutives
-  static consecutiveErrors = 0;
-  
   /**
    * Load latest entries
    */
   static loadLastEntries() {
-    // Éviter les appels simultanés qui pourraient causer des freezes
-    if (this.isLoadingEntries) {
-      console.log('Delta Green UI | Loading already in progress, skipping');
-      return;
-    }
-    
-    // Éviter les appels trop fréquents (moins de 300ms entre les appels)
-    const now = Date.now();
-    if (now - this.lastSuccessfulLoad < 300) {
-      console.log('Delta Green UI | Loading too frequent, skipping');
-      return;
-    }
-    
-    // Marquer le début du chargement
-    this.isLoadingEntries = true;
-    
-    // Utiliser un timeout pour détecter les opérations trop longues
-    const loadTimeout = setTimeout(() => {
-      console.warn('Delta Green UI | Loading entries taking too long (>3s), forcing completion');
-      this.isLoadingEntries = false;
-      this.consecutiveErrors++;
-      
-      // Si trop d'erreurs consécutives, réduire la fréquence des rafraîchissements
-      if (this.consecutiveErrors > 3 && this.refreshIntervalId) {
-        console.warn('Delta Green UI | Too many consecutive errors, reducing refresh rate');
-        clearInterval(this.refreshIntervalId);
-        this.refreshIntervalId = setInterval(() => {
-          if (this.isInterfaceActive()) {
-            this.loadLastEntries();
-          }
-        }, 2000); // Augmenter l'intervalle à 2 secondes
-      }
-    }, 3000);
-    
     try {
       // Utiliser une référence DOM directe pour de meilleures performances
       const $list = document.getElementById("dg-last-entries-list") 
@@ -1328,30 +1497,22 @@ export class DeltaGreenUI {
         : this._createEntriesList();
       
       // Si la liste n'a pas pu être créée, abandonner
-      if (!$list || !$list.length) {
-        clearTimeout(loadTimeout);
-        this.isLoadingEntries = false;
-        return;
-      }
+      if (!$list || !$list.length) return;
       
       // Appliquer le style
       $list.css({padding: "10px", background: "#111"});
       
-      // Get PC Records folder - mise en cache pour éviter les recherches répétées
-      const folder = this._getPCRecordsFolder();
-      
-      // Vider la liste de manière optimisée
-      $list[0].innerHTML = '';
+      // Get records visible to the current user
+      const records = RecordsRepository.getVisibleRecords();
       
       // Si pas de dossier ou pas d'acteurs, afficher un message
-      if (!folder || !this._hasActorsInFolder(folder)) {
-        $list.append('<li class="dg-result-item dg-no-entries">No recent entries found</li>');
-        this._finishLoading(loadTimeout, true);
+      if (records.length === 0) {
+        $list.html('<li class="dg-result-item dg-no-entries">No recent entries found</li>');
         return;
       }
       
       // Récupérer et trier les acteurs
-      const recentActors = this._getRecentActors(folder);
+      const recentActors = this._getRecentActors(records);
       
       // Générer le HTML et l'ajouter à la liste
       const htmlContent = this._generateActorsHTML(recentActors);
@@ -1360,9 +1521,6 @@ export class DeltaGreenUI {
       // Ajouter les gestionnaires d'événements
       this._addActorClickHandlers($list);
       
-      // Marquer la fin du chargement réussi
-      this._finishLoading(loadTimeout, true);
-      
     } catch (error) {
       console.error('Delta Green UI | Error loading latest entries:', error);
       
@@ -1371,9 +1529,6 @@ export class DeltaGreenUI {
       if ($list && $list.length) {
         $list.empty().append('<li class="dg-result-item dg-no-entries">Error loading entries</li>');
       }
-      
-      // Marquer la fin du chargement avec erreur
-      this._finishLoading(loadTimeout, false);
     }
   }
   
@@ -1402,49 +1557,15 @@ export class DeltaGreenUI {
   }
   
   /**
-   * Récupère le dossier PC Records
+   * Récupère les acteurs récents parmi les records
    * @private
-   * @returns {Folder|null} Le dossier PC Records ou null s'il n'existe pas
-   */
-  static _getPCRecordsFolder() {
-    return game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-  }
-  
-  /**
-   * Vérifie si le dossier contient des acteurs
-   * @private
-   * @param {Folder} folder Le dossier à vérifier
-   * @returns {boolean} true si le dossier contient des acteurs, false sinon
-   */
-  static _hasActorsInFolder(folder) {
-    return game.actors.filter(a => a.folder?.id === folder.id).length > 0;
-  }
-  
-  /**
-   * Récupère les acteurs récents du dossier
-   * @private
-   * @param {Folder} folder Le dossier contenant les acteurs
+   * @param {Array} allActors Les records
    * @returns {Array} Les acteurs récents (max 3)
    */
-  static _getRecentActors(folder) {
-    // Récupérer tous les acteurs du dossier
-    const allActors = game.actors.filter(a => a.folder?.id === folder.id);
-    
-    // Trier par date de création/modification (du plus récent au plus ancien)
+  static _getRecentActors(allActors) {
+    // Trier par date de modification (du plus récent au plus ancien)
     const sortedActors = [...allActors].sort((a, b) => {
-      try {
-        // Utiliser l'ID comme source principale de tri (contient souvent un timestamp)
-        const aId = a.id || '';
-        const bId = b.id || '';
-        
-        // Extraire les nombres de l'ID pour la comparaison
-        const aNum = parseInt(aId.replace(/[^0-9]/g, '') || '0');
-        const bNum = parseInt(bId.replace(/[^0-9]/g, '') || '0');
-        
-        return bNum - aNum; // Ordre décroissant (le plus récent en premier)
-      } catch (error) {
-        return 0; // En cas d'erreur, ne pas changer l'ordre
-      }
+      return RecordsManager.getRecordTimestamps(b).updatedAt - RecordsManager.getRecordTimestamps(a).updatedAt;
     });
     
     // Limiter aux 3 derniers
@@ -1462,34 +1583,35 @@ export class DeltaGreenUI {
     
     actors.forEach((actor) => {
       try {
-        // Récupérer les informations de l'enregistrement en toute sécurité
-        let firstName = '';
-        let reference = 'UNKNOWN';
-        let middleName = '';
-        
-        try {
-          firstName = actor.getFlag(this.ID, 'firstName') || '';
-          reference = actor.getFlag(this.ID, 'surname') || 'UNKNOWN';
-          middleName = actor.getFlag(this.ID, 'middleName') || '';
-        } catch (e) {
-          // Ignorer les erreurs et utiliser les valeurs par défaut
-        }
+        // Libellé selon la base de données de l'enregistrement
+        const label = SafeHTML.escape(RecordsManager.getRecordLabel(actor));
         
-        // Si les deux sont vides, utiliser le nom de l'acteur
-        if (!firstName && reference === 'UNKNOWN') {
-          htmlContent += `<li class="dg-result-item" data-actor-id="${actor.id}">${actor.name}</li>`;
-        } else {
-          htmlContent += `<li class="dg-result-item" data-actor-id="${actor.id}">${reference} - ${firstName} ${middleName}</li>`;
-        }
+        htmlContent += `<li class="dg-result-item" data-actor-id="${actor.id}">${RecordStatus.renderBadgesHTML(actor)} ${label}${this._generateEntryMetaHTML(actor)}</li>`;
       } catch (error) {
         // En cas d'erreur, ajouter une entrée générique
-        htmlContent += `<li class="dg-result-item" data-actor-id="${actor.id}">${actor.name || 'Unknown Record'}</li>`;
+        htmlContent += `<li class="dg-result-item" data-actor-id="${actor.id}">${SafeHTML.escape(actor.name || 'Unknown Record')}</li>`;
       }
     });
     
     return htmlContent;
   }
   
+  /**
+   * Génère la ligne "il y a X - AGENT" d'une entrée
+   * @private
+   * @param {Actor} actor L'acteur concerné
+   * @returns {string} Le HTML généré (vide si aucune date connue)
+   */
+  static _generateEntryMetaHTML(actor) {
+    const { updatedAt, updatedBy } = RecordsManager.getRecordTimestamps(actor);
+    if (!updatedAt) return '';
+    
+    // Nom de l'agent si le joueur en a un, sinon nom du joueur
+    const agent = SafeHTML.escape(UIComponents.getAgentName(updatedBy));
+    
+    return `<span class="dg-entry-meta">${UIComponents.formatRelativeTime(updatedAt)} - ${agent}</span>`;
+  }
+  
   /**
    * Ajoute les gestionnaires d'événements pour les clics sur les acteurs
    * @private
@@ -1501,39 +1623,11 @@ export class DeltaGreenUI {
       const actor = game.actors.get(actorId);
       
       if (actor) {
-        // Afficher le formulaire d'étude de cas
-        RecordsManager.showCaseStudyForm(actor);
+        // Afficher le formulaire d'étude de cas (modifications en cours confirmées d'abord)
+        RecordsManager.navigateToRecord(actor.id);
       }
     });
   }
-  
-  /**
-   * Termine le chargement et met à jour les variables d'état
-   * @private
-   * @param {number} loadTimeout L'ID du timeout à annuler
-   * @param {boolean} success Indique si le chargement a réussi
-   */
-  static _finishLoading(loadTimeout, success) {
-    clearTimeout(loadTimeout);
-    this.isLoadingEntries = false;
-    
-    if (success) {
-      this.lastSuccessfulLoad = Date.now();
-      this.consecutiveErrors = 0;
-      
-      // Si le taux de rafraîchissement a été réduit et que nous avons des succès, le restaurer
-      if (this.refreshIntervalId && this.consecutiveErrors === 0) {
-        clearInterval(this.refreshIntervalId);
-        this.refreshIntervalId = setInterval(() => {
-          if (this.isInterfaceActive()) {
-            this.loadLastEntries();
-          }
-        }, 500); // Restaurer l'intervalle normal
-      }
-    } else {
-      this.consecutiveErrors++;
-    }
-  }
 }
 
 // Module initialization
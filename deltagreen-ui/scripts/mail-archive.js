@@ -0,0 +1,342 @@
+/**
+ * Mail archive for Delta Green Player UI
+ * Copie des messages de MAIL pour qu'ils restent lisibles après un vidage du chat.
+ * Les documents du monde sont transmis à tous les clients, quels que soient leurs droits :
+ * l'entrée de journal, écrite par le MJ actif, ne reçoit donc que les messages publics
+ * (conversation générale). Les échanges privés sont archivés dans le navigateur de chaque
+ * participant, qui ne reçoit du serveur que les messages qui lui sont adressés.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { MailConversations } from './mail-conversations.js';
+import { MailMessages } from './mail-messages.js';
+
+export class MailArchive {
+  // Nom de l'entrée de journal créée pour l'archive publique
+  static JOURNAL_NAME = 'MAIL ARCHIVE';
+  
+  // Messages par page du journal : seule la dernière page est réécrite à l'arrivée d'un message
+  static PAGE_CAPACITY = 100;
+  
+  // Messages privés conservés par conversation dans le navigateur
+  static LOCAL_LIMIT = 1000;
+  
+  // File d'écriture : les pages ne sont jamais mises à jour en parallèle
+  static _queue = Promise.resolve();
+  
+  // Archive privée chargée : clé de conversation -> entrées
+  static _local = null;
+  
+  /**
+   * Initialize the archive (new and existing messages, deletions)
+   */
+  static init() {
+    Hooks.on('createChatMessage', message => this.archive([message]));
+    
+    // Un message supprimé quitte l'archive ; un vidage du chat (deleteAll) la conserve
+    Hooks.on('deleteChatMessage', (message, options) => {
+      if (!options?.deleteAll) this.remove([message.id]);
+    });
+    
+    // Messages reçus pendant l'absence de l'utilisateur (ou du MJ)
+    this.archive(game.messages.contents);
+  }
+  
+  /**
+   * Check if the archive is enabled for the world
+   * @returns {boolean} true if mail is kept across chat flushes
+   */
+  static isEnabled() {
+    return game.settings.get(DeltaGreenUI.ID, 'mailArchive') === true;
+  }
+  
+  /**
+   * Check if a chat message belongs in the public archive
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} true for a message of the general conversation sent to everyone
+   */
+  static isPublic(message) {
+    return !message.whisper?.length && !message.blind
+      && MailConversations.getMessageKey(message) === MailConversations.GENERAL;
+  }
+  
+  /**
+   * Get the archive journal entry
+   * @returns {JournalEntry|null} Archive entry, or null if not created yet
+   */
+  static getJournal() {
+    return game.journal.find(journal => journal.getFlag(DeltaGreenUI.ID, 'mailArchive')) || null;
+  }
+  
+  /**
+   * Make sure the archive journal entry exists (GM only)
+   * Masquée dans la barre latérale des agents, mais transmise à tous : messages publics uniquement
+   * @returns {Promise<JournalEntry>} Archive entry
+   */
+  static async ensureJournal() {
+    let journal = this.getJournal();
+    if (!journal) {
+      journal = await JournalEntry.create({
+        name: this.JOURNAL_NAME,
+        ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+        flags: { [DeltaGreenUI.ID]: { mailArchive: true } }
+      });
+      console.log(`Delta Green UI | "${this.JOURNAL_NAME}" journal entry created`);
+    }
+    return journal;
+  }
+  
+  /**
+   * Get the pages of the public archive
+   * @returns {JournalEntryPage[]} Pages, oldest first
+   */
+  static getPages() {
+    return (this.getJournal()?.pages.contents || [])
+      .filter(page => page.getFlag(DeltaGreenUI.ID, 'conversation') === MailConversations.GENERAL)
+      .sort((a, b) => (a.getFlag(DeltaGreenUI.ID, 'index') || 0) - (b.getFlag(DeltaGreenUI.ID, 'index') || 0));
+  }
+  
+  /**
+   * Get the archived messages of a page
+   * @private
+   * @param {JournalEntryPage} page - Archive page
+   * @returns {Array<Object>} Entries (see toEntry)
+   */
+  static _readEntries(page) {
+    const entries = page.getFlag(DeltaGreenUI.ID, 'messages');
+    return Array.isArray(entries) ? entries : [];
+  }
+  
+  /**
+   * Get the browser storage key of the private archive (one per world and user)
+   * @private
+   * @returns {string} Storage key
+   */
+  static _getStorageKey() {
+    return `${DeltaGreenUI.ID}.mailArchive.${game.world.id}.${game.user.id}`;
+  }
+  
+  /**
+   * Load the private archive of the current user
+   * @private
+   * @returns {Object} Conversation key -> entries
+   */
+  static _loadLocal() {
+    if (!this._local) {
+      try {
+        this._local = JSON.parse(localStorage.getItem(this._getStorageKey())) || {};
+      } catch (error) {
+        console.error('Delta Green UI | Error reading the private mail archive:', error);
+        this._local = {};
+      }
+    }
+    return this._local;
+  }
+  
+  /**
+   * Save the private archive of the current user
+   * @private
+   */
+  static _saveLocal() {
+    try {
+      localStorage.setItem(this._getStorageKey(), JSON.stringify(this._local));
+    } catch (error) {
+      console.error('Delta Green UI | Error saving the private mail archive:', error);
+    }
+  }
+  
+  /**
+   * Get the archived conversation keys
+   * @returns {string[]} Conversation keys
+   */
+  static getKeys() {
+    if (!this.isEnabled()) return [];
+    
+    const keys = Object.keys(this._loadLocal());
+    if (this.getPages().length) keys.push(MailConversations.GENERAL);
+    return keys;
+  }
+  
+  /**
+   * Get the archived messages the current user may read
+   * @returns {Array<Object>} Entries (see toEntry), all readable conversations
+   */
+  static getEntries() {
+    if (!this.isEnabled()) return [];
+    
+    // Conversations privées encore accessibles (un agent retiré d'un canal n'y a plus accès)
+    const privateEntries = Object.entries(this._loadLocal())
+      .filter(([key]) => MailConversations.getConversation(key))
+      .flatMap(([, entries]) => entries);
+    
+    return [...this.getPages().flatMap(page => this._readEntries(page)), ...privateEntries];
+  }
+  
+  /**
+   * Convert a chat message to an archive entry
+   * @param {ChatMessage} message - Chat message
+   * @returns {Object} Entry: what MAIL needs to list and read the message without the chat log
+   */
+  static toEntry(message) {
+    const kind = MailMessages.getKind(message);
+    
+    // Seuls les messages écrits depuis MAIL ont un objet : résumé pour les jets, emotes...
+    const subject = kind === 'plain' && message.getFlag(DeltaGreenUI.ID, 'conversation')
+      ? message.getFlag(DeltaGreenUI.ID, 'subject') || ''
+      : MailMessages.getSummary(message, kind);
+    
+    const entry = {
+      id: message.id,
+      userId: MailConversations.getAuthorId(message),
+      timestamp: message.timestamp,
+      conversation: MailConversations.getMessageKey(message),
+      kind,
+      subject,
+      content: message.content,
+      whisper: [...(message.whisper || [])],
+      blind: !!message.blind,
+      interference: message.getFlag(DeltaGreenUI.ID, 'interference') || 'none'
+    };
+    
+    if (kind === 'roll') {
+      const readout = MailMessages.getRollReadout(message);
+      entry.readout = readout.text;
+      entry.outcome = readout.outcome;
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Archive chat messages
+   * Messages privés dans le navigateur de l'utilisateur courant, messages publics par le MJ actif
+   * @param {ChatMessage[]} messages - Chat messages (already archived ones are skipped)
+   * @returns {Promise} Resolved once written
+   */
+  static archive(messages) {
+    if (!this.isEnabled()) return Promise.resolve();
+    
+    this._archiveLocal(messages.filter(message => !this.isPublic(message)));
+    
+    const shared = messages.filter(message => this.isPublic(message));
+    if (shared.length === 0 || !DeltaGreenUI.isActiveGM()) return Promise.resolve();
+    return this._enqueue(() => this._write(shared));
+  }
+  
+  /**
+   * Remove deleted chat messages from the archive
+   * @param {string[]} ids - Chat message IDs
+   * @returns {Promise} Resolved once written
+   */
+  static remove(ids) {
+    const removed = new Set(ids);
+    
+    const local = this._loadLocal();
+    let changed = false;
+    for (const [key, entries] of Object.entries(local)) {
+      const kept = entries.filter(entry => !removed.has(entry.id));
+      if (kept.length === entries.length) continue;
+      local[key] = kept;
+      changed = true;
+    }
+    if (changed) this._saveLocal();
+    
+    if (!DeltaGreenUI.isActiveGM()) return Promise.resolve();
+    return this._enqueue(() => this._removeShared(removed));
+  }
+  
+  /**
+   * Queue a write of the public archive
+   * @private
+   * @param {Function} task - Async write
+   * @returns {Promise} Resolved once written
+   */
+  static _enqueue(task) {
+    this._queue = this._queue
+      .then(task)
+      .catch(error => console.error('Delta Green UI | Error archiving mail:', error));
+    return this._queue;
+  }
+  
+  /**
+   * Add chat messages to the private archive of the current user
+   * @private
+   * @param {ChatMessage[]} messages - Chat messages
+   */
+  static _archiveLocal(messages) {
+    const local = this._loadLocal();
+    let changed = false;
+    
+    for (const message of messages) {
+      if (!MailConversations.canRead(message)) continue;
+      
+      const key = MailConversations.getMessageKey(message);
+      const entries = local[key] || (local[key] = []);
+      if (entries.some(entry => entry.id === message.id)) continue;
+      
+      entries.push(this.toEntry(message));
+      if (entries.length > this.LOCAL_LIMIT) entries.splice(0, entries.length - this.LOCAL_LIMIT);
+      changed = true;
+    }
+    
+    if (changed) this._saveLocal();
+  }
+  
+  /**
+   * Write public chat messages to the journal (active GM only)
+   * La dernière page est complétée, puis de nouvelles pages sont créées
+   * @private
+   * @param {ChatMessage[]} messages - Public chat messages
+   */
+  static async _write(messages) {
+    const pages = this.getPages();
+    const known = new Set(pages.flatMap(page => this._readEntries(page)).map(entry => entry.id));
+    const added = messages.filter(message => !known.has(message.id)).map(message => this.toEntry(message));
+    if (added.length === 0) return;
+    
+    const journal = await this.ensureJournal();
+    
+    const last = pages[pages.length - 1];
+    if (last) {
+      const stored = this._readEntries(last);
+      const room = this.PAGE_CAPACITY - stored.length;
+      if (room > 0) {
+        await last.update({ [`flags.${DeltaGreenUI.ID}.messages`]: [...stored, ...added.splice(0, room)] });
+      }
+    }
+    
+    const creations = [];
+    let index = last ? (last.getFlag(DeltaGreenUI.ID, 'index') || pages.length) : 0;
+    while (added.length > 0) {
+      index++;
+      creations.push({
+        name: `${MailConversations.GENERAL} ${index}`,
+        type: 'text',
+        flags: { [DeltaGreenUI.ID]: { conversation: MailConversations.GENERAL, index, messages: added.splice(0, this.PAGE_CAPACITY) } }
+      });
+    }
+    
+    if (creations.length) await journal.createEmbeddedDocuments('JournalEntryPage', creations);
+  }
+  
+  /**
+   * Remove deleted chat messages from the journal (active GM only)
+   * @private
+   * @param {Set<string>} removed - Chat message IDs
+   */
+  static async _removeShared(removed) {
+    const journal = this.getJournal();
+    if (!journal) return;
+    
+    const updates = [];
+    for (const page of this.getPages()) {
+      const entries = this._readEntries(page);
+      const kept = entries.filter(entry => !removed.has(entry.id));
+      if (kept.length !== entries.length) {
+        updates.push({ _id: page.id, [`flags.${DeltaGreenUI.ID}.messages`]: kept });
+      }
+    }
+    
+    if (updates.length) await journal.updateEmbeddedDocuments('JournalEntryPage', updates);
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Mail channel editor for Delta Green Player UI (GM only)
+ * Un canal (cellule) regroupe des agents ; ses messages ne sont envoyés qu'à ses membres et au MJ
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { MailConversations } from './mail-conversations.js';
+
+export class MailChannelConfig extends FormApplication {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    
+    // Copie de travail des canaux
+    this.channels = MailConversations.getChannels();
+  }
+  
+  /**
+   * Default application options
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'dg-mail-channel-config',
+      title: 'Mail Channels',
+      template: `modules/${DeltaGreenUI.ID}/templates/mail-channel-config.html`,
+      width: 560,
+      height: 'auto',
+      closeOnSubmit: true
+    });
+  }
+  
+  /**
+   * Prepare template data
+   * @returns {Object} Channels with the membership of each agent
+   */
+  getData() {
+    const agents = game.users.filter(user => !user.isGM);
+    
+    return {
+      hasAgents: agents.length > 0,
+      channels: this.channels.map((channel, index) => ({
+        ...channel,
+        index,
+        agents: agents.map(agent => ({
+          id: agent.id,
+          name: agent.character?.name || agent.name,
+          member: channel.members.includes(agent.id)
+        }))
+      }))
+    };
+  }
+  
+  /**
+   * Activate listeners
+   * @param {jQuery} html - Rendered HTML
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('.dg-channel-add').on('click', event => {
+      event.preventDefault();
+      this._readChannels(html);
+      this.channels.push({ id: foundry.utils.randomID(), name: '', members: [] });
+      this.render();
+    });
+    
+    html.find('.dg-channel-delete').on('click', event => {
+      event.preventDefault();
+      this._readChannels(html);
+      this.channels.splice(Number(event.currentTarget.dataset.index), 1);
+      this.render();
+    });
+  }
+  
+  /**
+   * Read the channel rows back into the working copy
+   * @private
+   * @param {jQuery} html - Rendered HTML
+   */
+  _readChannels(html) {
+    this.channels = html.find('.dg-channel').toArray().map(row => {
+      const $row = $(row);
+      return {
+        id: $row.data('channel-id'),
+        name: $row.find('[data-prop="name"]').val().trim(),
+        members: $row.find('[data-prop="member"]:checked').toArray().map(input => input.value)
+      };
+    });
+  }
+  
+  /**
+   * Save the channels
+   * @param {Event} event - Submit event
+   * @param {Object} formData - Form data
+   */
+  async _updateObject(event, formData) {
+    this._readChannels(this.element);
+    
+    if (this.channels.some(channel => !channel.name)) {
+      ui.notifications.error('Every channel needs a name');
+      throw new Error('Delta Green UI | Mail channel without a name');
+    }
+    
+    await MailConversations.setChannels(this.channels);
+    ui.notifications.info('Mail channels saved');
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * Mail commands for Delta Green Player UI
+ * Commandes de terminal tapées dans le champ de message de MAIL (/msg, /roll, /search...),
+ * avec complétion par Tab des commandes, des agents et des numéros de dossier.
+ * Les réponses s'affichent dans la console locale, sous le champ de saisie.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { MailSystem } from './mail-system.js';
+import { MailConversations } from './mail-conversations.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordsRepository } from './records-repository.js';
+import { UIComponents } from './ui-components.js';
+import { SafeHTML } from './safe-html.js';
+
+export class MailCommands {
+  // Commandes disponibles, dans l'ordre de /help
+  static COMMANDS = [
+    { name: 'msg', usage: '/msg <agent> <text>', description: 'SEND A PRIVATE MESSAGE TO AN AGENT, THE HANDLER OR A #CHANNEL' },
+    { name: 'roll', usage: '/roll <formula> [label]', description: 'ROLL DICE IN THE CURRENT CONVERSATION' },
+    { name: 'search', usage: '/search <terms>', description: 'SEARCH THE RECORDS' },
+    { name: 'open', usage: '/open <case#>', description: 'OPEN A RECORD' },
+    { name: 'who', usage: '/who', description: 'LIST CONNECTED AGENTS' },
+    { name: 'clear', usage: '/clear', description: 'CLEAR THE CONSOLE' },
+    { name: 'help', usage: '/help', description: 'LIST COMMANDS' },
+    { name: 'broadcast', usage: '/broadcast <text>', description: 'SEND A MESSAGE TO ALL AGENTS', gmOnly: true }
+  ];
+  
+  // Nombre de lignes conservées dans la console
+  static MAX_OUTPUT_LINES = 30;
+  
+  // Lignes de la console
+  static output = [];
+  
+  /**
+   * Check if a typed text is a command
+   * @param {string} text - Typed text
+   * @returns {boolean} true if the text starts with "/"
+   */
+  static isCommand(text) {
+    return String(text || '').trim().startsWith('/');
+  }
+  
+  /**
+   * Get the commands available to the current user
+   * @returns {Array<Object>} Commands
+   */
+  static getCommands() {
+    return this.COMMANDS.filter(command => !command.gmOnly || game.user.isGM);
+  }
+  
+  /**
+   * Print a line in the console
+   * @param {string} line - Raw text
+   */
+  static print(line) {
+    this.output.push(line);
+    this.output = this.output.slice(-this.MAX_OUTPUT_LINES);
+    this.displayOutput();
+  }
+  
+  /**
+   * Display the console
+   */
+  static displayOutput() {
+    const $console = $('#dg-mail-console');
+    $console.html(this.output.map(line => `<div class="dg-console-line">${SafeHTML.escape(line)}</div>`).join(''));
+    $console.toggle(this.output.length > 0);
+    if ($console.length) $console.scrollTop($console[0].scrollHeight);
+  }
+  
+  /**
+   * Execute a command
+   * @param {string} text - Typed command
+   */
+  static async execute(text) {
+    const [, name, args] = String(text).trim().match(/^\/(\S*)\s*([\s\S]*)$/);
+    const command = this.getCommands().find(c => c.name === name.toLowerCase());
+    
+    this.print(`> ${text.trim()}`);
+    if (!command) {
+      this.print(`UNKNOWN COMMAND: /${name.toUpperCase()} - TYPE /HELP`);
+      return;
+    }
+    
+    try {
+      switch (command.name) {
+        case 'msg': return await this._sendPrivateMessage(args);
+        case 'roll': return await this._roll(args);
+        case 'search': return this._search(args);
+        case 'open': return await this._openRecord(args);
+        case 'who': return this._who();
+        case 'clear': return this._clear();
+        case 'help': return this._help();
+        case 'broadcast': return await this._broadcast(args);
+      }
+    } catch (error) {
+      console.error(`Delta Green UI | Error executing command /${command.name}:`, error);
+      this.print(`ERROR: ${String(error.message || error).toUpperCase()}`);
+    }
+  }
+  
+  /**
+   * Get the recipients /msg accepts
+   * @private
+   * @returns {Array<{names: string[], key: string}>} Names (agent, player, HANDLER, #channel) and conversation key
+   */
+  static _getRecipients() {
+    const recipients = [];
+    if (!game.user.isGM) {
+      recipients.push({ names: ['HANDLER'], key: MailConversations.getHandlerKey(game.user.id) });
+    }
+    
+    for (const user of game.users.filter(u => !u.isGM && u.id !== game.user.id)) {
+      const key = game.user.isGM
+        ? MailConversations.getHandlerKey(user.id)
+        : MailConversations.getDirectKey(game.user.id, user.id);
+      recipients.push({ names: [...new Set([UIComponents.getAgentName(user.id), user.name])], key });
+    }
+    
+    for (const channel of MailConversations.getChannels()) {
+      const key = MailConversations.getChannelKey(channel.id);
+      if (MailConversations.getConversation(key)) recipients.push({ names: [`#${channel.name}`], key });
+    }
+    
+    return recipients;
+  }
+  
+  /**
+   * Get the case numbers of the records the user can see
+   * @private
+   * @returns {string[]} Case numbers
+   */
+  static _getCaseNumbers() {
+    return RecordsRepository.getVisibleRecords()
+      .map(record => record.getFlag(DeltaGreenUI.ID, 'caseNumber'))
+      .filter(number => number)
+      .map(String);
+  }
+  
+  /**
+   * /msg: send a private message
+   * Le nom le plus long qui préfixe les arguments est retenu (noms avec espaces)
+   * @private
+   * @param {string} args - "<agent> <text>"
+   */
+  static async _sendPrivateMessage(args) {
+    let target = null;
+    let length = 0;
+    for (const recipient of this._getRecipients()) {
+      for (const name of recipient.names) {
+        const prefix = args.slice(0, name.length);
+        const next = args.charAt(name.length);
+        if (name.length > length && prefix.toUpperCase() === name.toUpperCase() && (!next || /\s/.test(next))) {
+          target = { name, key: recipient.key };
+          length = name.length;
+        }
+      }
+    }
+    
+    const content = args.slice(length).trim();
+    if (!target || !content) {
+      this.print('USAGE: /msg <agent> <text>');
+      return;
+    }
+    
+    if (!(await MailSystem.sendMessage(content, '', target.key))) {
+      this.print('ERROR: MESSAGE NOT SENT');
+      return;
+    }
+    
+    MailSystem.selectConversation(target.key);
+    this.print(`MESSAGE SENT TO ${target.name.toUpperCase()}`);
+  }
+  
+  /**
+   * /roll: roll dice in the current conversation
+   * Le message est créé directement : le mode de jet de Foundry remplacerait les destinataires
+   * @private
+   * @param {string} args - "<formula> [label]"
+   */
+  static async _roll(args) {
+    const [formula, ...label] = args.trim().split(/\s+/);
+    if (!formula || !Roll.validate(formula)) {
+      this.print('USAGE: /roll <formula> [label]');
+      return;
+    }
+    
+    const messageData = MailConversations.buildMessageData(MailSystem.currentConversation, '');
+    if (!messageData) {
+      this.print('ERROR: CONVERSATION UNAVAILABLE');
+      return;
+    }
+    
+    const roll = new Roll(formula);
+    await (game.release.generation >= 12 ? roll.evaluate() : roll.evaluate({ async: true }));
+    
+    // Avant Foundry v12, un jet doit porter le type ROLL
+    if (!CONST.CHAT_MESSAGE_STYLES) messageData.type = CONST.CHAT_MESSAGE_TYPES.ROLL;
+    
+    await ChatMessage.create({
+      ...messageData,
+      content: String(roll.total),
+      flavor: SafeHTML.escape(label.join(' ')),
+      rolls: [roll],
+      sound: CONFIG.sounds.dice
+    });
+  }
+  
+  /**
+   * /search: search the records
+   * @private
+   * @param {string} args - Search terms
+   */
+  static _search(args) {
+    $('.dg-menu-item[data-view="records"]').trigger('click');
+    $('#dg-search-input').val(args);
+    RecordsManager.searchRecords(args);
+  }
+  
+  /**
+   * /open: open a record by case number
+   * @private
+   * @param {string} args - Case number
+   */
+  static async _openRecord(args) {
+    const number = args.trim().toUpperCase();
+    const record = RecordsRepository.getVisibleRecords()
+      .find(r => String(r.getFlag(DeltaGreenUI.ID, 'caseNumber') || '').toUpperCase() === number);
+    
+    if (!number || !record) {
+      this.print(number ? `NO RECORD FOUND: ${number}` : 'USAGE: /open <case#>');
+      return;
+    }
+    
+    $('.dg-menu-item[data-view="records"]').trigger('click');
+    await RecordsManager.navigateToRecord(record.id);
+  }
+  
+  /**
+   * /who: list the connected users
+   * @private
+   */
+  static _who() {
+    const users = game.users.filter(user => user.active);
+    this.print(`${users.length} CONNECTED:`);
+    for (const user of users) {
+      this.print(`  ${UIComponents.getAgentName(user.id).toUpperCase()}${user.isGM ? '' : ` (${user.name.toUpperCase()})`}`);
+    }
+  }
+  
+  /**
+   * /clear: clear the console
+   * @private
+   */
+  static _clear() {
+    this.output = [];
+    this.displayOutput();
+  }
+  
+  /**
+   * /help: list the commands
+   * @private
+   */
+  static _help() {
+    for (const command of this.getCommands()) {
+      this.print(`${command.usage} - ${command.description}`);
+    }
+    this.print('TAB COMPLETES COMMANDS, AGENT NAMES AND CASE NUMBERS');
+  }
+  
+  /**
+   * /broadcast: send a message to all agents (GM only)
+   * @private
+   * @param {string} args - Message
+   */
+  static async _broadcast(args) {
+    if (!args.trim()) {
+      this.print('USAGE: /broadcast <text>');
+      return;
+    }
+    
+    if (!(await MailSystem.sendMessage(args, 'BROADCAST', MailConversations.GENERAL))) {
+      this.print('ERROR: BROADCAST NOT SENT');
+      return;
+    }
+    
+    this.print('BROADCAST SENT');
+  }
+  
+  /**
+   * Complete the word before the cursor of the message input
+   * Une seule correspondance : complétée ; plusieurs : préfixe commun et liste dans la console
+   * @param {HTMLTextAreaElement} input - Message input
+   */
+  static complete(input) {
+    const cursor = input.selectionStart;
+    const before = input.value.slice(0, cursor);
+    const word = before.match(/(\S*)$/)[1];
+    const command = before.match(/^\/(\S+)\s/)?.[1]?.toLowerCase();
+    
+    let candidates;
+    if (before.match(/^\/\S*$/)) {
+      candidates = this.getCommands().map(c => `/${c.name}`);
+    } else if (command === 'open') {
+      candidates = this._getCaseNumbers();
+    } else if (command === 'msg') {
+      candidates = this._getRecipients().flatMap(recipient => recipient.names);
+    } else {
+      candidates = [...this._getRecipients().flatMap(recipient => recipient.names), ...this._getCaseNumbers()];
+    }
+    
+    const matches = [...new Set(candidates)].filter(c => c.toUpperCase().startsWith(word.toUpperCase())).sort();
+    if (matches.length === 0) return;
+    
+    let completion = matches[0];
+    if (matches.length > 1) {
+      // Préfixe commun à toutes les correspondances
+      completion = matches.reduce((prefix, match) => {
+        let i = 0;
+        while (i < prefix.length && prefix[i].toUpperCase() === match[i]?.toUpperCase()) i++;
+        return prefix.slice(0, i);
+      });
+      this.print(matches.join('  '));
+      if (completion.length <= word.length) return;
+    } else {
+      completion += ' ';
+    }
+    
+    const start = cursor - word.length;
+    input.value = input.value.slice(0, start) + completion + input.value.slice(cursor);
+    input.selectionStart = input.selectionEnd = start + completion.length;
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Mail conversations for Delta Green Player UI
+ * Une conversation est identifiée par une clé stockée dans les flags du message de chat :
+ * 'general' (tous les agents), 'handler.<agent>' (agent et MJ), 'direct.<agent>.<agent>'
+ * et 'channel.<canal>' (cellule définie par le MJ). Hors conversation générale, les
+ * messages sont chuchotés aux seuls destinataires : Foundry ne les envoie qu'à eux.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { UIComponents } from './ui-components.js';
+import { MailArchive } from './mail-archive.js';
+
+export class MailConversations {
+  // Conversation ouverte à tous les agents (messages publics)
+  static GENERAL = 'general';
+  
+  /**
+   * Get the channels defined by the GM
+   * @returns {Array<{id: string, name: string, members: string[]}>} Channels, sorted by name
+   */
+  static getChannels() {
+    const channels = game.settings.get(DeltaGreenUI.ID, 'mailChannels') || {};
+    return Object.entries(channels)
+      .map(([id, channel]) => ({ id, name: channel.name, members: channel.members || [] }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Save the channels (GM only)
+   * @param {Array<{id: string, name: string, members: string[]}>} channels - Channels
+   */
+  static async setChannels(channels) {
+    const stored = {};
+    for (const channel of channels) {
+      stored[channel.id] = { name: channel.name, members: channel.members };
+    }
+    await game.settings.set(DeltaGreenUI.ID, 'mailChannels', stored);
+  }
+  
+  /**
+   * Get the IDs of the GM users
+   * @returns {string[]} User IDs
+   */
+  static getHandlerIds() {
+    return game.users.filter(user => user.isGM).map(user => user.id);
+  }
+  
+  /**
+   * Get the conversation key between an agent and the handler
+   * @param {string} agentId - Player user ID
+   * @returns {string} Conversation key
+   */
+  static getHandlerKey(agentId) {
+    return `handler.${agentId}`;
+  }
+  
+  /**
+   * Get the conversation key between two agents
+   * @param {string} userId - Player user ID
+   * @param {string} otherId - Other player user ID
+   * @returns {string} Conversation key (same for both agents)
+   */
+  static getDirectKey(userId, otherId) {
+    return `direct.${[userId, otherId].sort().join('.')}`;
+  }
+  
+  /**
+   * Get the conversation key of a channel
+   * @param {string} channelId - Channel ID
+   * @returns {string} Conversation key
+   */
+  static getChannelKey(channelId) {
+    return `channel.${channelId}`;
+  }
+  
+  /**
+   * Describe a conversation for a user
+   * @param {string} key - Conversation key
+   * @param {User} user - Viewer (current user if omitted)
+   * @returns {{key: string, type: string, label: string, recipients: string[]}|null} Conversation
+   *   (recipients empty for a public conversation), or null if unknown or not readable by the user
+   */
+  static getConversation(key, user = game.user) {
+    const [type, ...ids] = String(key || '').split('.');
+    
+    switch (type) {
+      case this.GENERAL:
+        return { key, type, label: 'ALL AGENTS', recipients: [] };
+      
+      case 'handler': {
+        const agent = game.users.get(ids[0]);
+        if (!agent || (!user.isGM && user.id !== agent.id)) return null;
+        return {
+          key,
+          type,
+          label: user.isGM ? UIComponents.getAgentName(agent.id) : 'HANDLER',
+          recipients: [agent.id, ...this.getHandlerIds()]
+        };
+      }
+      
+      case 'direct': {
+        if (ids.length !== 2 || (!user.isGM && !ids.includes(user.id))) return null;
+        const others = user.isGM ? ids : ids.filter(id => id !== user.id);
+        return {
+          key,
+          type,
+          label: others.map(id => UIComponents.getAgentName(id)).join(' / '),
+          recipients: ids
+        };
+      }
+      
+      case 'channel': {
+        const channel = this.getChannels().find(c => c.id === ids[0]);
+        if (!channel || (!user.isGM && !channel.members.includes(user.id))) return null;
+        return {
+          key,
+          type,
+          label: `#${channel.name.toUpperCase()}`,
+          recipients: [...new Set([...channel.members, ...this.getHandlerIds()])]
+        };
+      }
+      
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Get the author of a chat message
+   * Foundry v12 : "author", versions précédentes : "user"
+   * @param {ChatMessage} message - Chat message
+   * @returns {string|null} User ID
+   */
+  static getAuthorId(message) {
+    return (message.author ?? message.user)?.id ?? null;
+  }
+  
+  /**
+   * Get the conversation of a chat message
+   * Les messages publics sans clé appartiennent à la conversation générale ; les chuchotements
+   * envoyés depuis le chat de Foundry rejoignent l'échange HANDLER ou direct de leurs participants
+   * @param {ChatMessage} message - Chat message
+   * @returns {string|null} Conversation key
+   */
+  static getMessageKey(message) {
+    const key = message.getFlag(DeltaGreenUI.ID, 'conversation');
+    if (key) return key;
+    if (!message.whisper?.length) return this.GENERAL;
+    
+    const participants = [...new Set([this.getAuthorId(message), ...message.whisper])]
+      .map(id => game.users.get(id))
+      .filter(user => user);
+    const agents = participants.filter(user => !user.isGM);
+    const withHandler = participants.some(user => user.isGM);
+    
+    if (agents.length === 1 && withHandler) return this.getHandlerKey(agents[0].id);
+    if (agents.length === 2 && !withHandler) return this.getDirectKey(agents[0].id, agents[1].id);
+    return null;
+  }
+  
+  /**
+   * Check if the current user may read a chat message in MAIL
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} true if Foundry lets the user see it and its conversation is readable
+   */
+  static canRead(message) {
+    return message.visible && !!this.getConversation(this.getMessageKey(message));
+  }
+  
+  /**
+   * List the conversations of the current user
+   * Agents : général, HANDLER, chaque autre agent et leurs canaux ; MJ : toutes les conversations
+   * @returns {Array} Conversations (see getConversation)
+   */
+  static listConversations() {
+    const agents = game.users.filter(user => !user.isGM);
+    const keys = [this.GENERAL];
+    
+    if (game.user.isGM) {
+      keys.push(...agents.map(agent => this.getHandlerKey(agent.id)));
+    } else {
+      keys.push(this.getHandlerKey(game.user.id));
+      keys.push(...agents.filter(agent => agent.id !== game.user.id).map(agent => this.getDirectKey(game.user.id, agent.id)));
+    }
+    
+    keys.push(...this.getChannels().map(channel => this.getChannelKey(channel.id)));
+    
+    // Le MJ voit aussi les échanges directs entre agents, archivés compris
+    if (game.user.isGM) {
+      const known = [...game.messages.contents.map(message => this.getMessageKey(message)), ...MailArchive.getKeys()];
+      for (const key of known) {
+        if (key?.startsWith('direct.') && !keys.includes(key)) keys.push(key);
+      }
+    }
+    
+    return keys.map(key => this.getConversation(key)).filter(conversation => conversation);
+  }
+  
+  /**
+   * Build the chat message data of a mail
+   * @param {string} key - Conversation key
+   * @param {string} content - Message content
+   * @param {string} subject - Message subject
+   * @returns {Object|null} Chat message data, or null if the conversation is not readable
+   */
+  static buildMessageData(key, content, subject = '') {
+    const conversation = this.getConversation(key);
+    if (!conversation) return null;
+    
+    const data = {
+      content,
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker(),
+      flags: { [DeltaGreenUI.ID]: { conversation: key, subject: String(subject || '').trim().toUpperCase() } }
+    };
+    if (conversation.recipients.length > 0) data.whisper = conversation.recipients;
+    
+    return data;
+  }
+}
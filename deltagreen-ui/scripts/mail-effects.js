@@ -0,0 +1,160 @@
+/**
+ * Mail effects for Delta Green Player UI
+ * Effet téléscripteur (texte imprimé caractère par caractère avec un curseur) et brouillage
+ * du signal choisi par le MJ (caractères parasites qui se stabilisent avec le temps).
+ * Un clic termine l'effet ; le réglage "mouvement réduit" les désactive.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+
+export class MailEffects {
+  // Niveaux de brouillage : part des caractères brouillés
+  static INTERFERENCE_LEVELS = [
+    { id: 'none', label: 'NO INTERFERENCE', ratio: 0 },
+    { id: 'light', label: 'LIGHT INTERFERENCE', ratio: 0.15 },
+    { id: 'heavy', label: 'HEAVY INTERFERENCE', ratio: 0.45 }
+  ];
+  
+  // Durée maximale avant qu'un caractère brouillé se stabilise (ms)
+  static INTERFERENCE_DURATION = 3000;
+  
+  // Intervalle de rafraîchissement de l'effet (ms)
+  static FRAME_INTERVAL = 40;
+  
+  // Caractères parasites
+  static GLITCH_CHARS = '#$%&@!?*+=<>/\\|~^░▒▓';
+  
+  // Effet en cours : { nodes, texts, cursor, timer }
+  static current = null;
+  
+  /**
+   * Check if animations are disabled for this client
+   * @returns {boolean} true if the reduced motion setting or the browser preference is on
+   */
+  static isReducedMotion() {
+    return game.settings.get(DeltaGreenUI.ID, 'reducedMotion')
+      || !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+  }
+  
+  /**
+   * Apply the reduced motion setting to the blinking elements of the interface
+   */
+  static applyReducedMotion() {
+    $('body').toggleClass('dg-reduced-motion', this.isReducedMotion());
+  }
+  
+  /**
+   * Get the share of scrambled characters of an interference level
+   * @param {string} levelId - Interference level ID
+   * @returns {number} Ratio (0 if unknown)
+   */
+  static getInterferenceRatio(levelId) {
+    return this.INTERFERENCE_LEVELS.find(level => level.id === levelId)?.ratio || 0;
+  }
+  
+  /**
+   * Build the options of the interference selector
+   * @returns {string} Generated HTML
+   */
+  static renderInterferenceOptionsHTML() {
+    return this.INTERFERENCE_LEVELS.map(level => `<option value="${level.id}">${level.label}</option>`).join('');
+  }
+  
+  /**
+   * Play the teletype and interference effects on rendered content
+   * Le contenu final est déjà dans l'élément : seuls ses nœuds de texte sont animés
+   * @param {HTMLElement} element - Element holding the rendered content
+   * @param {Object} options - Effects
+   * @param {boolean} options.teletype - Print the text character by character
+   * @param {string} options.interference - Interference level ID
+   */
+  static play(element, { teletype = false, interference = 'none' } = {}) {
+    this.finish();
+    
+    const ratio = this.getInterferenceRatio(interference);
+    if (!element || this.isReducedMotion() || (!teletype && ratio === 0)) return;
+    
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    if (nodes.length === 0) return;
+    
+    const texts = nodes.map(node => node.textContent);
+    const speed = Math.max(1, Number(game.settings.get(DeltaGreenUI.ID, 'mailTeletypeSpeed')) || 40);
+    
+    // Instant d'apparition et de stabilisation de chaque caractère (ms)
+    let index = 0;
+    const timings = texts.map(text => [...text].map(char => {
+      const shown = teletype ? (index++ * 1000) / speed : 0;
+      const scrambled = /\S/.test(char) && Math.random() < ratio;
+      return { shown, stable: shown + (scrambled ? Math.random() * this.INTERFERENCE_DURATION : 0) };
+    }));
+    
+    const cursor = document.createElement('span');
+    cursor.className = 'dg-teletype-cursor';
+    cursor.textContent = '█';
+    
+    const start = Date.now();
+    this.current = { nodes, texts, cursor };
+    this.current.timer = setInterval(() => this._frame(Date.now() - start, timings, teletype), this.FRAME_INTERVAL);
+    this._frame(0, timings, teletype);
+  }
+  
+  /**
+   * Draw one frame of the effect
+   * @private
+   * @param {number} elapsed - Time since the start (ms)
+   * @param {Array<Array<Object>>} timings - Character timings per text node
+   * @param {boolean} teletype - true to show the cursor
+   */
+  static _frame(elapsed, timings, teletype) {
+    if (!this.current) return;
+    const { nodes, texts, cursor } = this.current;
+    
+    let pending = false;
+    let lastNode = null;
+    nodes.forEach((node, i) => {
+      const chars = [...texts[i]];
+      let text = '';
+      chars.forEach((char, j) => {
+        const timing = timings[i][j];
+        if (timing.shown > elapsed) {
+          pending = true;
+          return;
+        }
+        if (timing.stable > elapsed) {
+          pending = true;
+          text += this.GLITCH_CHARS[Math.floor(Math.random() * this.GLITCH_CHARS.length)];
+        } else {
+          text += char;
+        }
+      });
+      node.textContent = text;
+      if (text) lastNode = node;
+    });
+    
+    if (!pending) {
+      this.finish();
+      return;
+    }
+    
+    // Curseur après le dernier caractère imprimé
+    if (teletype) {
+      if (lastNode) lastNode.after(cursor);
+      else nodes[0].before(cursor);
+    }
+  }
+  
+  /**
+   * Finish the running effect and show the final text
+   */
+  static finish() {
+    if (!this.current) return;
+    
+    const { nodes, texts, cursor, timer } = this.current;
+    clearInterval(timer);
+    nodes.forEach((node, i) => { node.textContent = texts[i]; });
+    cursor.remove();
+    this.current = null;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Mail message kinds for Delta Green Player UI
+ * Classe les messages du chat (message, chuchotement, jet, emote, hors-jeu, système) et
+ * rend les jets de dés en relevés de terminal, avec les règles de percentile de Delta Green :
+ * réussite si le résultat est inférieur ou égal à la cible, critique sur 01, 100 et les doubles.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { SafeHTML } from './safe-html.js';
+
+export class MailMessages {
+  // Types de messages et libellés du terminal
+  static KINDS = {
+    plain: 'MESSAGE',
+    whisper: 'WHISPER',
+    roll: 'ROLL',
+    emote: 'EMOTE',
+    ooc: 'OOC',
+    system: 'SYSTEM'
+  };
+  
+  // Longueur du résumé affiché dans la boîte de réception
+  static SUMMARY_LENGTH = 60;
+  
+  /**
+   * Get the kind of a chat message
+   * @param {ChatMessage} message - Chat message
+   * @returns {string} Kind (see KINDS)
+   */
+  static getKind(message) {
+    if (message.isRoll) return 'roll';
+    
+    // Messages écrits depuis MAIL
+    if (message.getFlag(DeltaGreenUI.ID, 'conversation')) return 'plain';
+    if (message.whisper?.length) return 'whisper';
+    
+    // Foundry v12 : "style", versions précédentes : "type"
+    const styles = CONST.CHAT_MESSAGE_STYLES ?? CONST.CHAT_MESSAGE_TYPES;
+    const style = message.style ?? message.type;
+    switch (style) {
+      case styles.EMOTE: return 'emote';
+      case styles.OOC: return 'ooc';
+      case styles.IC: return 'plain';
+      default: return 'system';
+    }
+  }
+  
+  /**
+   * Evaluate a Delta Green percentile roll
+   * @param {number} result - Rolled value (1-100)
+   * @param {number} target - Target percentage
+   * @returns {{id: string, label: string}} Outcome
+   */
+  static evaluatePercentile(result, target) {
+    const critical = result === 1 || result === 100 || (result < 100 && result % 11 === 0);
+    const success = result !== 100 && (result === 1 || result <= target);
+    
+    if (critical) {
+      return success ? { id: 'critical', label: 'CRITICAL SUCCESS' } : { id: 'fumble', label: 'CRITICAL FAILURE' };
+    }
+    return success ? { id: 'success', label: 'SUCCESS' } : { id: 'failure', label: 'FAILURE' };
+  }
+  
+  /**
+   * Build the terminal readout of a roll message
+   * La cible vient des options du jet (système Delta Green) ou du pourcentage dans la description
+   * @param {ChatMessage} message - Roll message
+   * @returns {{text: string, outcome: string|null}} Readout and outcome ID (null if no target)
+   */
+  static getRollReadout(message) {
+    const roll = message.rolls?.[0];
+    if (!roll) return { text: 'ROLL: NO DATA', outcome: null };
+    if (message.isContentVisible === false) return { text: 'ROLL: RESULT CLASSIFIED', outcome: null };
+    
+    const flavor = SafeHTML.toText(message.flavor);
+    const options = roll.options || {};
+    const label = String(options.skillName || options.label || flavor.replace(/\(?\s*\d{1,3}\s*%\s*\)?/, '') || '')
+      .trim()
+      .toUpperCase();
+    
+    // Jet de percentile (1d100)
+    const dice = roll.dice || [];
+    const percentile = dice.length === 1 && dice[0].faces === 100 && dice[0].number === 1;
+    if (percentile) {
+      const result = Number(roll.total);
+      const target = Number(roll.target ?? options.target ?? flavor.match(/(\d{1,3})\s*%/)?.[1]);
+      
+      if (!Number.isFinite(target)) {
+        return { text: `PERCENTILE ROLL${label ? `: ${label}` : ''} -> ROLLED ${result}`, outcome: null };
+      }
+      
+      const outcome = this.evaluatePercentile(result, target);
+      return {
+        text: `SKILL CHECK: ${label || 'UNNAMED'} ${target}% -> ROLLED ${result} -> ${outcome.label}`,
+        outcome: outcome.id
+      };
+    }
+    
+    return { text: `ROLL${label ? `: ${label}` : ''} [${roll.formula}] -> ${roll.total}`, outcome: null };
+  }
+  
+  /**
+   * Get the one-line summary of a chat message shown in the inbox
+   * @param {ChatMessage} message - Chat message
+   * @param {string} kind - Kind (see getKind)
+   * @returns {string} Raw summary
+   */
+  static getSummary(message, kind = this.getKind(message)) {
+    if (kind === 'roll') return this.getRollReadout(message).text;
+    
+    let text = SafeHTML.toText(message.content);
+    if (text.length > this.SUMMARY_LENGTH) text = `${text.slice(0, this.SUMMARY_LENGTH)}...`;
+    return kind === 'plain' ? text : `[${this.KINDS[kind]}] ${text}`;
+  }
+  
+  /**
+   * Render a roll readout for the reader
+   * @param {string} readout - Readout text (see getRollReadout)
+   * @param {string|null} outcome - Outcome ID
+   * @returns {string} Generated HTML
+   */
+  static renderReadoutHTML(readout, outcome = null) {
+    return `<div class="dg-roll-readout${outcome ? ` dg-roll-${outcome}` : ''}">${SafeHTML.escape(readout)}</div>`;
+  }
+}
@@ -3,22 +3,60 @@
  */
 
 import { DeltaGreenUI } from './delta-green-ui.js';
+import { MailConversations } from './mail-conversations.js';
+import { MailChannelConfig } from './mail-channel-config.js';
+import { MailMessages } from './mail-messages.js';
+import { MailCommands } from './mail-commands.js';
+import { MailEffects } from './mail-effects.js';
+import { MailArchive } from './mail-archive.js';
+import { UIComponents } from './ui-components.js';
+import { SafeHTML } from './safe-html.js';
 
 export class MailSystem {
   static messages = [];
   
+  // Nombre de messages chargés à chaque page (défilement vers le haut)
+  static PAGE_SIZE = 50;
+  
+  // Conversation affichée dans MAIL et message ouvert dans le lecteur
+  static currentConversation = MailConversations.GENERAL;
+  static selectedMessageId = null;
+  
+  // Pagination et recherche de la liste affichée
+  static visibleCount = MailSystem.PAGE_SIZE;
+  static olderCount = 0;
+  static searchTerm = '';
+  
+  // Contexte audio du bip de terminal, créé au premier message reçu
+  static _audioContext = null;
+  
   /**
    * Initialize mail system
    */
   static init() {
     console.log('Delta Green UI | Initializing mail system');
     
+    // Les messages antérieurs à la première connexion ne sont pas signalés comme non lus
+    if (!game.user.getFlag(DeltaGreenUI.ID, 'mailRead')) {
+      game.user.setFlag(DeltaGreenUI.ID, 'mailRead', { since: Date.now(), ids: [] })
+        .catch(error => console.error('Delta Green UI | Error initializing mail read state:', error));
+    }
+    
     // Load messages when interface is rendered
     Hooks.on('renderDeltaGreenUI', () => {
       console.log('Delta Green UI | Loading messages (renderDeltaGreenUI)');
       this.loadMessages();
     });
     
+    // Signal new mail
+    Hooks.on('createChatMessage', message => this._onMessageReceived(message));
+    
+    // Chat vidé (l'archive garde les messages) ou message supprimé : recharger
+    Hooks.on('deleteChatMessage', () => this.scheduleRefresh());
+    
+    MailArchive.init();
+    MailEffects.applyReducedMotion();
+    
     // Initialize events
     this.initEvents();
   }
@@ -28,35 +66,381 @@ export class MailSystem {
    */
   static initEvents() {
     // Handle input in message field
-    $(document).on('keypress', '#dg-message-input', (e) => {
+    $(document).on('keypress', '#dg-message-input', async (e) => {
       if (e.which === 13 && !e.shiftKey) {
         e.preventDefault();
-        const content = $('#dg-message-input').val();
-        this.sendMessage(content);
-        $('#dg-message-input').val('');
+        const $input = $('#dg-message-input');
+        const content = $input.val();
+        if (!content.trim()) return;
+        
+        // Commandes de terminal (/msg, /roll...)
+        if (MailCommands.isCommand(content)) {
+          $input.val('');
+          MailCommands.execute(content);
+          return;
+        }
+        
+        // Le message reste dans le champ tant qu'il n'est pas envoyé
+        $input.prop('disabled', true);
+        const sent = await this.sendMessage(content, $('#dg-message-subject').val(), this.currentConversation, $('#dg-message-interference').val());
+        $input.prop('disabled', false).trigger('focus');
+        if (!sent) return;
+        
+        $input.val('');
+        $('#dg-message-subject').val('');
+        $('#dg-message-interference').val('none');
       }
     });
+    
+    // Handle Tab completion in message field
+    $(document).on('keydown', '#dg-message-input', (e) => {
+      if (e.key !== 'Tab') return;
+      e.preventDefault();
+      MailCommands.complete(e.currentTarget);
+    });
+    
+    // Handle message opening
+    $(document).on('click', '.dg-mail-entry', (e) => {
+      this.openMessage($(e.currentTarget).data('message-id'));
+    });
+    
+    // Skip the teletype and interference effects
+    $(document).on('click', '#dg-mail-reader', () => MailEffects.finish());
+    
+    // Handle "mark all read"
+    $(document).on('click', '#dg-mail-mark-read', () => {
+      this.markRead(this.getUnreadMessages(this.currentConversation).map(msg => msg.id));
+    });
+    
+    // Handle NEW MAIL indicator (SYSTEM view)
+    $(document).on('click', '#dg-new-mail-indicator', () => {
+      $('.dg-menu-item[data-view="mail"]').trigger('click');
+    });
+    
+    // Handle mail search
+    $(document).on('keypress', '#dg-mail-search', (e) => {
+      if (e.which === 13) this.search($(e.currentTarget).val());
+    });
+    
+    // Handle older messages
+    $(document).on('click', '.dg-mail-older', () => this.loadOlderMessages());
+    
+    // Handle conversation selection
+    $(document).on('click', '.dg-mail-thread', (e) => {
+      this.selectConversation($(e.currentTarget).data('conversation'));
+    });
+    
+    // Handle channel management (GM only)
+    $(document).on('click', '#dg-mail-channels-button', () => {
+      if (game.user.isGM) new MailChannelConfig().render(true);
+    });
+  }
+  
+  /**
+   * Convert a chat message to the interface format
+   * @param {ChatMessage} msg - Chat message
+   * @returns {Object} Interface message
+   */
+  static toMailMessage(msg) {
+    return this._fromEntry(MailArchive.toEntry(msg));
+  }
+  
+  /**
+   * Convert an archive entry to the interface format
+   * @private
+   * @param {Object} entry - Archive entry (see MailArchive.toEntry)
+   * @returns {Object} Interface message
+   */
+  static _fromEntry(entry) {
+    // Jet à l'aveugle : le résultat reste caché aux agents
+    const classified = entry.kind === 'roll' && entry.blind && !game.user.isGM;
+    
+    return {
+      ...entry,
+      sender: this.formatSenderName(game.users.get(entry.userId)),
+      recipients: this.formatRecipients(entry.whisper, entry.userId),
+      readout: classified ? 'ROLL: RESULT CLASSIFIED' : entry.readout,
+      outcome: classified ? null : entry.outcome
+    };
+  }
+  
+  /**
+   * Format the recipients of a message
+   * @param {string[]} whisper - Whisper recipient IDs
+   * @param {string|null} authorId - Sender ID
+   * @returns {string} Recipient names, or ALL AGENTS for a public message
+   */
+  static formatRecipients(whisper, authorId) {
+    if (!whisper?.length) return 'ALL AGENTS';
+    
+    const names = whisper
+      .filter(userId => userId !== authorId)
+      .map(userId => UIComponents.getAgentName(userId).toUpperCase());
+    return [...new Set(names)].join(', ') || this.formatSenderName(game.users.get(authorId));
+  }
+  
+  /**
+   * Get all the mail the current user may read
+   * Messages du chat, complétés par l'archive pour ceux qui n'y sont plus
+   * @returns {Array<Object>} Interface messages, oldest first
+   */
+  static getAllMail() {
+    const mail = new Map();
+    for (const msg of game.messages.contents) {
+      if (MailConversations.canRead(msg)) mail.set(msg.id, this.toMailMessage(msg));
+    }
+    for (const entry of MailArchive.getEntries()) {
+      if (!mail.has(entry.id)) mail.set(entry.id, this._fromEntry(entry));
+    }
+    
+    return [...mail.values()].sort((a, b) => a.timestamp - b.timestamp);
+  }
+  
+  /**
+   * Get the read state of the current user
+   * @returns {{since: number, ids: string[]}} Messages older than "since" and listed messages are read
+   */
+  static getReadState() {
+    const state = game.user.getFlag(DeltaGreenUI.ID, 'mailRead') || {};
+    return { since: Number(state.since) || 0, ids: Array.isArray(state.ids) ? state.ids : [] };
+  }
+  
+  /**
+   * Check if a message is unread by the current user
+   * @param {Object} msg - Interface message
+   * @param {Object} state - Read state (see getReadState)
+   * @returns {boolean} true if unread (own messages are always read)
+   */
+  static isUnread(msg, state = this.getReadState()) {
+    if (msg.userId === game.user.id || msg.timestamp <= state.since) return false;
+    return !state.ids.includes(msg.id);
+  }
+  
+  /**
+   * Get the unread messages the current user may read
+   * @param {string|null} key - Conversation key (all conversations if omitted)
+   * @returns {Array<Object>} Unread interface messages
+   */
+  static getUnreadMessages(key = null) {
+    const state = this.getReadState();
+    return this.getAllMail().filter(msg => this.isUnread(msg, state) && (!key || msg.conversation === key));
+  }
+  
+  /**
+   * Mark messages as read by the current user
+   * @param {string[]} messageIds - Chat message IDs
+   */
+  static async markRead(messageIds) {
+    const state = this.getReadState();
+    if (messageIds.every(id => state.ids.includes(id))) return;
+    
+    const ids = new Set([...state.ids, ...messageIds]);
+    const mail = this.getAllMail();
+    
+    // "since" avance jusqu'au premier message non lu : la liste ne garde que les messages lus après lui
+    let since = state.since;
+    for (const msg of mail) {
+      if (msg.timestamp <= since) continue;
+      if (msg.userId !== game.user.id && !ids.has(msg.id)) break;
+      since = msg.timestamp;
+    }
+    
+    // Les messages supprimés du chat et absents de l'archive sont aussi retirés de la liste
+    const kept = mail.filter(msg => msg.timestamp > since && ids.has(msg.id)).map(msg => msg.id);
+    
+    try {
+      await game.user.setFlag(DeltaGreenUI.ID, 'mailRead', { since, ids: kept });
+    } catch (error) {
+      console.error('Delta Green UI | Error saving mail read state:', error);
+      return;
+    }
+    
+    this.displayConversations();
+    this.displayMessages();
+  }
+  
+  /**
+   * Update the unread counter of the MAIL menu item and the NEW MAIL indicator
+   */
+  static updateUnreadIndicators() {
+    const count = this.getUnreadMessages().length;
+    $('#dg-mail-unread-count').text(count > 0 ? ` (${count})` : '');
+    $('#dg-new-mail-count').text(count);
+    $('#dg-new-mail-indicator').toggle(count > 0);
+  }
+  
+  /**
+   * Open a message in the reader and mark it as read
+   * @param {string} messageId - Chat message ID
+   */
+  static openMessage(messageId) {
+    if (!this.messages.some(msg => msg.id === messageId)) return;
+    
+    this.selectedMessageId = messageId;
+    this.displayMessages();
+    this.markRead([messageId]);
   }
   
   /**
-   * Load messages from Foundry chat
+   * Handle a new chat message
+   * @private
+   * @param {ChatMessage} message - Chat message
    */
-  static loadMessages() {
-    // Get recent chat messages
-    const chatMessages = game.messages.contents.slice(-50);
+  static _onMessageReceived(message) {
+    if (MailConversations.getAuthorId(message) === game.user.id || !MailConversations.canRead(message)) return;
     
-    // Convert to interface format
-    this.messages = chatMessages.map(msg => {
-      return {
-        id: msg.id,
-        sender: this.formatSenderName(msg.user),
-        content: msg.content,
-        timestamp: msg.timestamp
-      };
+    this.updateUnreadIndicators();
+    
+    // Bip uniquement si le terminal est affiché
+    if (DeltaGreenUI.isInterfaceActive() && game.settings.get(DeltaGreenUI.ID, 'mailBeep')) {
+      this.beep();
+    }
+  }
+  
+  /**
+   * Play a short terminal beep
+   */
+  static beep() {
+    try {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
+      this._audioContext ??= new AudioContextClass();
+      
+      // Bip carré, au volume de l'interface de Foundry
+      const context = this._audioContext;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'square';
+      oscillator.frequency.value = 880;
+      gain.gain.value = 0.1 * (game.settings.get('core', 'globalInterfaceVolume') ?? 0.5);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start();
+      oscillator.stop(context.currentTime + 0.15);
+    } catch (error) {
+      console.error('Delta Green UI | Error playing mail beep:', error);
+    }
+  }
+  
+  /**
+   * Select the conversation shown in MAIL
+   * @param {string} key - Conversation key
+   */
+  static selectConversation(key) {
+    if (!MailConversations.getConversation(key)) return;
+    
+    this.currentConversation = key;
+    this.selectedMessageId = null;
+    this.searchTerm = '';
+    $('#dg-mail-search').val('');
+    this.visibleCount = this.PAGE_SIZE;
+    this.loadMessages();
+  }
+  
+  /**
+   * Search the mail of all readable conversations
+   * @param {string} term - Words to find in the subject, body or sender ('' to go back to the conversation)
+   */
+  static search(term) {
+    this.searchTerm = String(term || '').trim();
+    this.selectedMessageId = null;
+    this.visibleCount = this.PAGE_SIZE;
+    this.loadMessages();
+  }
+  
+  /**
+   * Check if a message matches the search
+   * @private
+   * @param {Object} msg - Interface message
+   * @param {string[]} words - Searched words, uppercase
+   * @returns {boolean} true if every word is found
+   */
+  static _matchesSearch(msg, words) {
+    const text = [msg.sender, msg.subject, msg.readout, SafeHTML.toText(msg.content)].join(' ').toUpperCase();
+    return words.every(word => text.includes(word));
+  }
+  
+  /**
+   * Load the previous page of messages, keeping the scroll position
+   */
+  static loadOlderMessages() {
+    if (this.olderCount === 0) return;
+    
+    this.visibleCount += this.PAGE_SIZE;
+    this.loadMessages(false);
+  }
+  
+  /**
+   * Schedule a reload of the messages (debounced)
+   */
+  static scheduleRefresh() {
+    if (!this._debouncedRefresh) {
+      this._debouncedRefresh = foundry.utils.debounce(() => this.loadMessages(false), DeltaGreenUI.REFRESH_DELAY);
+    }
+    this._debouncedRefresh();
+  }
+  
+  /**
+   * Display the conversation list
+   */
+  static displayConversations() {
+    this.updateUnreadIndicators();
+    
+    const $list = $('#dg-mail-threads');
+    if (!$list.length) return;
+    
+    // Nombre de messages lisibles et non lus par conversation
+    const state = this.getReadState();
+    const counts = {};
+    const unread = {};
+    for (const msg of this.getAllMail()) {
+      const key = msg.conversation;
+      counts[key] = (counts[key] || 0) + 1;
+      if (this.isUnread(msg, state)) unread[key] = (unread[key] || 0) + 1;
+    }
+    
+    const items = MailConversations.listConversations().map(conversation => {
+      const selected = conversation.key === this.currentConversation && !this.searchTerm ? ' dg-selected' : '';
+      const count = counts[conversation.key] || 0;
+      const newCount = unread[conversation.key] || 0;
+      return `<li class="dg-result-item dg-mail-thread${selected}${newCount ? ' dg-unread' : ''}" data-conversation="${conversation.key}">
+        ${SafeHTML.escape(conversation.label)}
+        <span class="dg-entry-meta">${newCount ? `${newCount} NEW / ` : ''}${count} MSG</span>
+      </li>`;
     });
     
+    $list.html(items.join(''));
+    $('#dg-mail-channels-button').toggle(game.user.isGM);
+    
+    // Brouillage du signal : choisi par le MJ pour chaque message
+    const $interference = $('#dg-message-interference');
+    if (game.user.isGM && !$interference.children().length) $interference.html(MailEffects.renderInterferenceOptionsHTML());
+    $interference.toggle(game.user.isGM);
+  }
+  
+  /**
+   * Load messages from Foundry chat and the mail archive
+   * @param {boolean} scrollToBottom - Show the latest messages (false keeps the scroll position)
+   */
+  static loadMessages(scrollToBottom = true) {
+    // Revenir à la conversation générale si la conversation affichée n'est plus accessible (canal supprimé...)
+    if (!MailConversations.getConversation(this.currentConversation)) {
+      this.currentConversation = MailConversations.GENERAL;
+    }
+    
+    // Messages de la conversation, ou de toutes les conversations pendant une recherche
+    const words = this.searchTerm.toUpperCase().split(/\s+/).filter(word => word);
+    const mail = this.getAllMail().filter(msg => words.length
+      ? this._matchesSearch(msg, words)
+      : msg.conversation === this.currentConversation);
+    
+    // Dernière page, les précédentes se chargent en remontant la liste
+    this.olderCount = Math.max(0, mail.length - this.visibleCount);
+    this.messages = mail.slice(this.olderCount);
+    
     // Display in interface
-    this.displayMessages();
+    this.displayConversations();
+    this.displayMessages(scrollToBottom);
+    MailCommands.displayOutput();
   }
   
   /**
@@ -65,6 +449,11 @@ export class MailSystem {
    * @returns {string} Formatted name
    */
   static formatSenderName(user) {
+    // Utilisateur supprimé depuis l'archivage du message
+    if (!user) {
+      return "UNKNOWN AGENT";
+    }
+    
     // If GM, display "Handler"
     if (user.isGM) {
       return "HANDLER";
@@ -76,37 +465,107 @@ export class MailSystem {
   
   /**
    * Display messages in interface
+   * @param {boolean} scrollToBottom - Show the latest messages (false keeps the scroll position)
    */
-  static displayMessages() {
+  static displayMessages(scrollToBottom = false) {
+    const conversation = MailConversations.getConversation(this.currentConversation);
+    $('#dg-mail-recipient').text(this.searchTerm ? `SEARCH "${this.searchTerm.toUpperCase()}"` : (conversation ? conversation.label : ''));
+    
     const container = $('#dg-messages-container');
+    if (!container.length) return;
+    
+    // Distance au bas de la liste, conservée au chargement des pages précédentes
+    const fromBottom = container[0].scrollHeight - container.scrollTop();
     container.empty();
+    this.displayReader();
     
     if (this.messages.length === 0) {
       container.append('<p>NO MESSAGES</p>');
       return;
     }
     
-    // Add each message
+    if (this.olderCount > 0) {
+      container.append(`<div class="dg-mail-older">▲ ${this.olderCount} OLDER MESSAGE${this.olderCount > 1 ? 'S' : ''}</div>`);
+    }
+    
+    // Boîte de réception : du plus ancien au plus récent
+    const state = this.getReadState();
     this.messages.forEach(msg => {
-      const messageDiv = $(`<div class="dg-message"></div>`);
+      const unread = this.isUnread(msg, state);
+      const selected = msg.id === this.selectedMessageId ? ' dg-selected' : '';
       
       // Determine name color based on user
-      const user = game.users.find(u => {
-        if (u.isGM && msg.sender === "HANDLER") return true;
-        return u.name.toUpperCase() === msg.sender;
-      });
-      
+      const user = game.users.get(msg.userId);
       const color = user ? user.color : "#33ff33";
       
-      // Add name and content
-      messageDiv.append(`<div class="dg-message-sender" style="color: ${color}">${msg.sender}</div>`);
-      messageDiv.append(`<div class="dg-message-content">${msg.content}</div>`);
+      // Conversation d'origine des résultats de recherche
+      const origin = this.searchTerm ? MailConversations.getConversation(msg.conversation)?.label : null;
       
-      container.append(messageDiv);
+      container.append(`<div class="dg-message dg-mail-entry dg-mail-${msg.kind}${unread ? ' dg-unread' : ''}${selected}" data-message-id="${msg.id}">
+        <div class="dg-message-sender">
+          <span class="dg-mail-flag">${unread ? '[NEW]' : ''}</span>
+          <span style="color: ${SafeHTML.escape(color)}">${SafeHTML.escape(msg.sender)}</span>
+          <span class="dg-entry-meta">${origin ? `${SafeHTML.escape(origin)} - ` : ''}${UIComponents.formatTimestamp(msg.timestamp)}</span>
+        </div>
+        <div class="dg-message-content">${SafeHTML.escape(msg.subject || '(NO SUBJECT)')}</div>
+      </div>`);
+    });
+    
+    container.scrollTop(scrollToBottom ? container[0].scrollHeight : container[0].scrollHeight - fromBottom);
+    
+    // Remonter en haut de la liste charge la page précédente (l'événement scroll ne se délègue pas)
+    container.off('scroll.dgMail').on('scroll.dgMail', () => {
+      if (container.scrollTop() === 0) this.loadOlderMessages();
     });
+  }
+  
+  /**
+   * Display the open message in the reader
+   */
+  static displayReader() {
+    const $reader = $('#dg-mail-reader');
+    const msg = this.messages.find(m => m.id === this.selectedMessageId);
+    if (!msg) {
+      MailEffects.finish();
+      $reader.hide().empty().removeData('message-id');
+      return;
+    }
+    
+    // Message déjà affiché : ne pas interrompre l'effet en cours
+    if ($reader.is(':visible') && $reader.data('message-id') === msg.id) return;
+    
+    // Effets réservés à la première lecture ; le téléscripteur aux messages du HANDLER
+    const incoming = this.isUnread(msg);
+    const effects = {
+      teletype: incoming && !!game.users.get(msg.userId)?.isGM && game.settings.get(DeltaGreenUI.ID, 'mailTeletype'),
+      interference: incoming ? msg.interference : 'none'
+    };
+    
+    MailEffects.finish();
+    $reader.data('message-id', msg.id).html(`
+      <div class="dg-mail-headers">
+        <div>FROM: ${SafeHTML.escape(msg.sender)}</div>
+        <div>TO: ${SafeHTML.escape(msg.recipients)}</div>
+        <div>DATE: ${UIComponents.formatTimestamp(msg.timestamp)}</div>
+        <div>SUBJECT: ${SafeHTML.escape(msg.subject || '(NO SUBJECT)')}</div>
+        <div>TYPE: ${MailMessages.KINDS[msg.kind]}</div>
+      </div>
+      <div class="dg-message-content"></div>
+    `).show();
     
-    // Scroll to bottom
-    container.scrollTop(container[0].scrollHeight);
+    // Corps du message : relevé pour les jets, sinon mise en forme autorisée et liens enrichis uniquement
+    const body = msg.kind === 'roll'
+      ? Promise.resolve(MailMessages.renderReadoutHTML(msg.readout, msg.outcome))
+      : SafeHTML.renderRichText(msg.content);
+    body.catch(error => {
+      // Enrichissement impossible : texte brut
+      console.error('Delta Green UI | Error rendering message:', error);
+      return SafeHTML.escape(SafeHTML.toText(msg.content));
+    }).then(html => {
+      if (this.selectedMessageId !== msg.id) return;
+      const $content = $reader.find('.dg-message-content').html(html);
+      MailEffects.play($content[0], effects);
+    });
   }
   
   /**
@@ -130,30 +589,47 @@ export class MailSystem {
    * @param {Object} data - Message data
    */
   static renderChatMessage(message, html, data) {
-    // Add message to list
-    this.messages.push({
-      id: message.id,
-      sender: this.formatSenderName(message.user),
-      content: message.content,
-      timestamp: message.timestamp
-    });
+    if (!MailConversations.canRead(message)) return;
     
-    // Update display
-    this.displayMessages();
+    // Add message to list (un message peut être rendu plusieurs fois)
+    const key = MailConversations.getMessageKey(message);
+    if (!this.searchTerm && key === this.currentConversation && !this.messages.some(msg => msg.id === message.id)) {
+      this.messages.push(this.toMailMessage(message));
+      this.displayMessages();
+    }
+    
+    // Update conversation list
+    this.displayConversations();
   }
   
   /**
    * Send message
    * @param {string} content - Message content
+   * @param {string} subject - Message subject
+   * @param {string} key - Conversation key (current conversation if omitted)
+   * @param {string} interference - Signal interference level ID (GM only)
+   * @returns {Promise<boolean>} true if the message was sent
    */
-  static sendMessage(content) {
-    if (!content.trim()) return;
+  static async sendMessage(content, subject = '', key = this.currentConversation, interference = 'none') {
+    if (!content.trim()) return false;
     
-    // Create chat message
-    ChatMessage.create({
-      content: content,
-      user: game.user.id,
-      speaker: ChatMessage.getSpeaker()
-    });
+    // Create chat message, whispered to the recipients of the conversation
+    const messageData = MailConversations.buildMessageData(key, SafeHTML.sanitize(content), subject);
+    if (!messageData) {
+      ui.notifications.warn('You cannot write in this conversation');
+      return false;
+    }
+    if (game.user.isGM && MailEffects.getInterferenceRatio(interference) > 0) {
+      messageData.flags[DeltaGreenUI.ID].interference = interference;
+    }
+    
+    try {
+      await ChatMessage.create(messageData);
+      return true;
+    } catch (error) {
+      console.error('Delta Green UI | Error sending message:', error);
+      ui.notifications.error('Message could not be sent');
+      return false;
+    }
   }
 }
@@ -0,0 +1,340 @@
+/**
+ * Record attachments for Delta Green Player UI
+ * Pièces jointes d'un record : images (bandeau photo), pages de journal et documents,
+ * chacune avec une légende et un niveau de classification. Elles sont stockées dans
+ * le flag 'attachments' et s'ouvrent dans le cadre CRT, sans fiche Foundry.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { Classification } from './classification.js';
+import { SafeHTML } from './safe-html.js';
+
+export class RecordAttachments {
+  // Types de pièces jointes
+  static KINDS = {
+    image: 'IMAGE',
+    journal: 'JOURNAL',
+    document: 'DOCUMENT'
+  };
+  
+  // Extensions affichées directement dans la visionneuse
+  static IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'avif'];
+  static TEXT_EXTENSIONS = ['txt', 'md', 'csv', 'json', 'log'];
+  
+  /**
+   * Get the attachments of a record
+   * @param {Actor} record - Record
+   * @returns {Array<{id: string, kind: string, src: string, caption: string, level: number}>} Attachments
+   */
+  static getAttachments(record) {
+    const attachments = record?.getFlag(DeltaGreenUI.ID, 'attachments');
+    return Array.isArray(attachments) ? attachments : [];
+  }
+  
+  /**
+   * Get an attachment of a record
+   * @param {Actor} record - Record
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Object|null} Attachment
+   */
+  static getAttachment(record, attachmentId) {
+    return this.getAttachments(record).find(attachment => attachment.id === attachmentId) || null;
+  }
+  
+  /**
+   * Check if the current user may see an attachment
+   * @param {Object} attachment - Attachment
+   * @returns {boolean} true if the user's clearance is high enough
+   */
+  static canViewAttachment(attachment) {
+    return Classification.canView(attachment.level);
+  }
+  
+  /**
+   * Write the attachments of a record
+   * @private
+   * @param {Actor} record - Record (owned by the user)
+   * @param {Array} attachments - New attachments
+   */
+  static async _save(record, attachments) {
+    await record.update({ [`flags.${DeltaGreenUI.ID}.attachments`]: attachments });
+  }
+  
+  /**
+   * Add an attachment to a record
+   * @param {Actor} record - Record (owned by the user)
+   * @param {string} kind - Attachment kind (image, journal or document)
+   * @param {string} src - File path, or UUID of a journal entry or page
+   * @returns {Promise<boolean>} true if the attachment was added
+   */
+  static async addAttachment(record, kind, src) {
+    if (!record?.isOwner || !this.KINDS[kind] || !src) return false;
+    
+    const attachments = this.getAttachments(record);
+    if (attachments.some(attachment => attachment.kind === kind && attachment.src === src)) {
+      ui.notifications.warn('This attachment already exists');
+      return false;
+    }
+    
+    await this._save(record, [...attachments, {
+      id: foundry.utils.randomID(),
+      kind,
+      src,
+      caption: '',
+      level: 0,
+      addedBy: game.user.id,
+      addedAt: Date.now()
+    }]);
+    return true;
+  }
+  
+  /**
+   * Update the caption or classification of an attachment
+   * Seul le MJ modifie la classification, comme pour les champs
+   * @param {Actor} record - Record (owned by the user)
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} changes - New caption and/or level
+   */
+  static async updateAttachment(record, attachmentId, changes) {
+    if (!record?.isOwner) return;
+    
+    const allowed = {};
+    if ('caption' in changes) allowed.caption = String(changes.caption).trim();
+    if ('level' in changes && game.user.isGM) allowed.level = Number(changes.level);
+    
+    await this._save(record, this.getAttachments(record).map(attachment =>
+      attachment.id === attachmentId ? { ...attachment, ...allowed } : attachment));
+  }
+  
+  /**
+   * Remove an attachment from a record
+   * @param {Actor} record - Record (owned by the user)
+   * @param {string} attachmentId - Attachment ID
+   */
+  static async removeAttachment(record, attachmentId) {
+    if (!record?.isOwner) return;
+    
+    await this._save(record, this.getAttachments(record).filter(attachment => attachment.id !== attachmentId));
+  }
+  
+  /**
+   * Get the journal entry or page of an attachment, if the user may read it
+   * @param {string} uuid - Journal entry or page UUID
+   * @returns {JournalEntry|JournalEntryPage|null} Document
+   */
+  static getJournalDocument(uuid) {
+    const doc = fromUuidSync(uuid);
+    if (!doc || !['JournalEntry', 'JournalEntryPage'].includes(doc.documentName)) return null;
+    return doc.testUserPermission(game.user, 'OBSERVER') ? doc : null;
+  }
+  
+  /**
+   * Get the extension of a file path
+   * @private
+   * @param {string} path - File path
+   * @returns {string} Lower case extension
+   */
+  static _getExtension(path) {
+    return String(path).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  }
+  
+  /**
+   * Get the displayed name of an attachment
+   * @param {Object} attachment - Attachment
+   * @returns {string} Raw name
+   */
+  static getAttachmentName(attachment) {
+    if (attachment.kind === 'journal') {
+      const doc = this.getJournalDocument(attachment.src);
+      if (!doc) return 'UNAVAILABLE';
+      return doc.parent ? `${doc.parent.name} / ${doc.name}` : doc.name;
+    }
+    
+    return decodeURIComponent(String(attachment.src).split('/').pop());
+  }
+  
+  /**
+   * Build the options of the journal selector
+   * @returns {string} Generated HTML (one optgroup per readable entry)
+   */
+  static renderJournalOptionsHTML() {
+    return game.journal.contents
+      .filter(entry => entry.testUserPermission(game.user, 'OBSERVER'))
+      .map(entry => {
+        const pages = entry.pages.contents
+          .filter(page => page.testUserPermission(game.user, 'OBSERVER'))
+          .sort((a, b) => a.sort - b.sort)
+          .map(page => `<option value="${page.uuid}">${SafeHTML.escape(page.name)}</option>`)
+          .join('');
+        
+        return `<optgroup label="${SafeHTML.escape(entry.name)}">
+          <option value="${entry.uuid}">ENTIRE ENTRY</option>${pages}
+        </optgroup>`;
+      }).join('');
+  }
+  
+  /**
+   * Build the controls of an attachment: caption, classification and removal
+   * @private
+   * @param {Object} attachment - Attachment
+   * @param {boolean} canEdit - true if the user owns the record
+   * @returns {string} Generated HTML
+   */
+  static _renderControlsHTML(attachment, canEdit) {
+    const caption = SafeHTML.escape(attachment.caption || '');
+    if (!canEdit) {
+      return caption ? `<span class="dg-attachment-caption-text">${caption}</span>` : '';
+    }
+    
+    const levels = game.user.isGM
+      ? `<select class="dg-attachment-level" data-attachment-id="${attachment.id}" title="Classification">${Classification.LEVELS.map(l =>
+          `<option value="${l.value}"${l.value === Number(attachment.level || 0) ? ' selected' : ''}>${l.marking}</option>`).join('')}</select>`
+      : '';
+    
+    return `<input type="text" class="dg-form-input dg-attachment-caption" data-attachment-id="${attachment.id}" value="${caption}" placeholder="CAPTION">
+      ${levels}
+      <a class="dg-attachment-remove" data-attachment-id="${attachment.id}" title="Remove attachment">[X]</a>`;
+  }
+  
+  /**
+   * Build the photo strip of a record
+   * @param {Actor} record - Record
+   * @param {boolean} canEdit - true if the user owns the record
+   * @returns {string} Generated HTML
+   */
+  static renderStripHTML(record, canEdit) {
+    return this.getAttachments(record)
+      .filter(attachment => attachment.kind === 'image')
+      .map(attachment => {
+        // La source d'une image classifiée n'entre jamais dans le DOM
+        if (!this.canViewAttachment(attachment)) {
+          return '<div class="dg-attachment-photo dg-attachment-redacted">[REDACTED]</div>';
+        }
+        
+        const marking = Classification.getLevel(attachment.level).marking;
+        return `<div class="dg-attachment-photo">
+          <img class="dg-attachment-open" data-attachment-id="${attachment.id}" src="${SafeHTML.escape(attachment.src)}" alt="">
+          <span class="dg-attachment-marking">(${marking})</span>
+          ${this._renderControlsHTML(attachment, canEdit)}
+        </div>`;
+      }).join('');
+  }
+  
+  /**
+   * Build the list of journal and document attachments of a record
+   * @param {Actor} record - Record
+   * @param {boolean} canEdit - true if the user owns the record
+   * @returns {string} Generated HTML
+   */
+  static renderListHTML(record, canEdit) {
+    return this.getAttachments(record)
+      .filter(attachment => attachment.kind !== 'image')
+      .map(attachment => {
+        if (!this.canViewAttachment(attachment)) {
+          return `<li class="dg-attachment-item">${Classification.renderRedactedHTML()}</li>`;
+        }
+        
+        const marking = Classification.getLevel(attachment.level).marking;
+        const name = SafeHTML.escape(this.getAttachmentName(attachment));
+        return `<li class="dg-attachment-item">
+          <a class="dg-attachment-open" data-attachment-id="${attachment.id}">(${marking}) [${this.KINDS[attachment.kind]}] ${name}</a>
+          ${this._renderControlsHTML(attachment, canEdit)}
+        </li>`;
+      }).join('');
+  }
+  
+  /**
+   * Build the content of a journal entry or page
+   * @private
+   * @param {JournalEntry|JournalEntryPage} doc - Journal entry or page
+   * @returns {Promise<string>} Generated HTML
+   */
+  static async _renderJournalHTML(doc) {
+    const pages = doc.documentName === 'JournalEntry'
+      ? doc.pages.contents
+        .filter(page => page.testUserPermission(game.user, 'OBSERVER'))
+        .sort((a, b) => a.sort - b.sort)
+      : [doc];
+    
+    const blocks = [];
+    for (const page of pages) {
+      let content;
+      if (page.type === 'text') {
+        content = await TextEditor.enrichHTML(page.text.content || '', { async: true });
+      } else if (page.type === 'image') {
+        content = `<img class="dg-attachment-view-image" src="${SafeHTML.escape(page.src)}" alt="">`;
+      } else {
+        content = '<p>UNSUPPORTED PAGE TYPE</p>';
+      }
+      
+      blocks.push(`<div class="dg-attachment-page">
+        <div class="dg-profile-label">${SafeHTML.escape(page.name.toUpperCase())}</div>
+        ${content}
+      </div>`);
+    }
+    
+    return blocks.join('') || '<p>NO READABLE PAGES</p>';
+  }
+  
+  /**
+   * Build the content of a document file
+   * Images et PDF affichés directement, fichiers texte lus, autres formats en lien
+   * @private
+   * @param {string} src - File path
+   * @returns {Promise<string>} Generated HTML
+   */
+  static async _renderDocumentHTML(src) {
+    const extension = this._getExtension(src);
+    const path = SafeHTML.escape(src);
+    
+    if (this.IMAGE_EXTENSIONS.includes(extension)) {
+      return `<img class="dg-attachment-view-image" src="${path}" alt="">`;
+    }
+    
+    if (extension === 'pdf') {
+      return `<iframe class="dg-attachment-frame" src="${path}"></iframe>`;
+    }
+    
+    if (this.TEXT_EXTENSIONS.includes(extension)) {
+      try {
+        const response = await fetch(src);
+        if (response.ok) {
+          return `<pre class="dg-attachment-text">${SafeHTML.escape(await response.text())}</pre>`;
+        }
+      } catch (error) {
+        console.error('Delta Green UI | Error reading attachment:', error);
+      }
+      return '<p>FILE UNAVAILABLE</p>';
+    }
+    
+    return `<p>NO PREVIEW AVAILABLE - <a href="${path}" target="_blank" rel="noopener">DOWNLOAD FILE</a></p>`;
+  }
+  
+  /**
+   * Build the viewer content of an attachment
+   * @param {Object} attachment - Attachment
+   * @returns {Promise<string>} Generated HTML
+   */
+  static async renderViewerHTML(attachment) {
+    if (!this.canViewAttachment(attachment)) return Classification.renderRedactedHTML();
+    
+    let content;
+    if (attachment.kind === 'image') {
+      content = `<img class="dg-attachment-view-image" src="${SafeHTML.escape(attachment.src)}" alt="">`;
+    } else if (attachment.kind === 'journal') {
+      const doc = this.getJournalDocument(attachment.src);
+      content = doc ? await this._renderJournalHTML(doc) : '<p>JOURNAL UNAVAILABLE</p>';
+    } else {
+      content = await this._renderDocumentHTML(attachment.src);
+    }
+    
+    const level = Classification.getLevel(attachment.level).label;
+    const caption = attachment.caption ? ` - ${SafeHTML.escape(attachment.caption)}` : '';
+    
+    return `<div class="dg-attachment-view-header">
+        ${level} // ${this.KINDS[attachment.kind]}${caption}
+        <button id="dg-attachment-close" class="dg-button dg-inline-button">CLOSE</button>
+      </div>
+      <div class="dg-attachment-view-body">${content}</div>`;
+  }
+}
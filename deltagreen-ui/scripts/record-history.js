@@ -0,0 +1,218 @@
+/**
+ * Record history for Delta Green Player UI
+ * Chaque sauvegarde ajoute une révision au record : date, auteur et champs modifiés
+ * (ancienne et nouvelle valeur). Les révisions sont stockées dans le flag 'history'.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsRepository } from './records-repository.js';
+import { RecordSchemas } from './record-schemas.js';
+import { Classification } from './classification.js';
+import { UIComponents } from './ui-components.js';
+import { SafeHTML } from './safe-html.js';
+import { RecordsManager } from './records-manager.js';
+
+export class RecordHistory {
+  // Nombre maximal de révisions conservées par record (les plus anciennes sont supprimées)
+  static HISTORY_LIMIT = 50;
+  
+  /**
+   * Get the revisions of a record
+   * @param {Actor} actor - Record
+   * @returns {Array} Revisions, oldest first
+   */
+  static getRevisions(actor) {
+    const history = actor?.getFlag(DeltaGreenUI.ID, 'history');
+    return Array.isArray(history) ? history : [];
+  }
+  
+  /**
+   * Normalize a field value for comparison
+   * @private
+   * @param {*} value - Field value
+   * @returns {string} Comparable value ('' if empty)
+   */
+  static _normalize(value) {
+    return value === undefined || value === null ? '' : String(value);
+  }
+  
+  /**
+   * Build the revision of a save
+   * @param {Actor|null} actor - Record before the save (null for a new record)
+   * @param {Object} values - Saved field values (key -> value)
+   * @param {Object} extra - Additional revision data (e.g. restoredFrom)
+   * @returns {Object|null} Revision, or null if no field changed
+   */
+  static buildRevision(actor, values, extra = {}) {
+    const changes = {};
+    
+    for (const [key, value] of Object.entries(values)) {
+      const old = actor ? actor.getFlag(DeltaGreenUI.ID, key) : null;
+      if (this._normalize(old) === this._normalize(value)) continue;
+      
+      changes[key] = { old: old ?? null, new: value ?? null };
+    }
+    
+    if (Object.keys(changes).length === 0) return null;
+    
+    const revisions = this.getRevisions(actor);
+    return {
+      id: foundry.utils.randomID(),
+      number: (revisions[revisions.length - 1]?.number || 0) + 1,
+      timestamp: Date.now(),
+      userId: game.user.id,
+      changes,
+      ...extra
+    };
+  }
+  
+  /**
+   * Append a revision to the history of a record
+   * @param {Actor|null} actor - Record (null for a new record)
+   * @param {Object} revision - Revision to append
+   * @returns {Array} New history, to store in the 'history' flag
+   */
+  static appendRevision(actor, revision) {
+    return [...this.getRevisions(actor), revision].slice(-this.HISTORY_LIMIT);
+  }
+  
+  /**
+   * Get the field values of a record as they were right after a revision
+   * On part des valeurs actuelles et on annule les révisions plus récentes
+   * @param {Actor} actor - Record
+   * @param {string} revisionId - Revision ID
+   * @returns {Object|null} Field values (key -> value), or null if the revision is unknown
+   */
+  static getStateAt(actor, revisionId) {
+    const revisions = this.getRevisions(actor);
+    const index = revisions.findIndex(revision => revision.id === revisionId);
+    if (index === -1) return null;
+    
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(actor));
+    const state = {};
+    for (const field of database.fields) {
+      state[field.key] = actor.getFlag(DeltaGreenUI.ID, field.key) ?? null;
+    }
+    
+    for (const revision of revisions.slice(index + 1).reverse()) {
+      for (const [key, change] of Object.entries(revision.changes)) {
+        if (key in state) state[key] = change.old;
+      }
+    }
+    
+    return state;
+  }
+  
+  /**
+   * Restore a record to a revision (GM only)
+   * La restauration est elle-même enregistrée comme une nouvelle révision
+   * @param {Actor} actor - Record
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise<boolean>} true if the record was restored
+   */
+  static async restoreRevision(actor, revisionId) {
+    if (!game.user.isGM || !actor) return false;
+    
+    const target = this.getRevisions(actor).find(revision => revision.id === revisionId);
+    const state = this.getStateAt(actor, revisionId);
+    if (!target || !state) return false;
+    
+    const revision = this.buildRevision(actor, state, { restoredFrom: target.number });
+    if (!revision) {
+      ui.notifications.info(`Record already matches revision ${target.number}`);
+      return false;
+    }
+    
+    // Le nom de l'acteur reprend les champs du nom restaurés
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(actor));
+    await actor.update({
+      name: RecordsManager.buildRecordName(database, actor.getFlag(DeltaGreenUI.ID, 'caseNumber'), state),
+      [`flags.${DeltaGreenUI.ID}`]: {
+        ...state,
+        history: this.appendRevision(actor, revision),
+        updatedAt: revision.timestamp,
+        updatedBy: game.user.id
+      }
+    });
+    
+    ui.notifications.info(`Record restored to revision ${target.number}`);
+    return true;
+  }
+  
+  /**
+   * Format a value of a revision for the current user
+   * Les valeurs classifiées au-dessus de l'habilitation restent masquées dans l'historique
+   * @private
+   * @param {Actor} actor - Record
+   * @param {Object|undefined} field - Schema field (undefined if removed from the schema)
+   * @param {string} key - Field key
+   * @param {*} value - Raw value
+   * @returns {string} Generated HTML
+   */
+  static _renderValueHTML(actor, field, key, value) {
+    if (!Classification.canViewField(actor, key)) return '[REDACTED]';
+    
+    let text = this._normalize(value);
+    if (field?.type === 'textarea') {
+      text = Classification.hasHiddenParagraphs(text)
+        ? `${Classification.getVisibleText(text)}\n[REDACTED]`
+        : text;
+    }
+    
+    if (!text) return '<em>(EMPTY)</em>';
+    return SafeHTML.escape(text).replace(/\n/g, '<br>');
+  }
+  
+  /**
+   * Build the revisions list of a record
+   * @param {Actor} actor - Record
+   * @returns {string} Generated HTML, newest revision first
+   */
+  static renderHistoryHTML(actor) {
+    const revisions = this.getRevisions(actor);
+    if (revisions.length === 0) {
+      return '<li class="dg-no-entries">NO REVISIONS RECORDED</li>';
+    }
+    
+    return [...revisions].reverse().map(revision => {
+      const count = Object.keys(revision.changes).length;
+      const restored = revision.restoredFrom ? ` - RESTORED FROM REV ${revision.restoredFrom}` : '';
+      
+      return `<li class="dg-result-item dg-history-item" data-revision-id="${revision.id}">
+        REV ${revision.number} - ${UIComponents.formatTimestamp(revision.timestamp)} - ${SafeHTML.escape(UIComponents.getAgentName(revision.userId))}
+        <span class="dg-entry-meta">${count} FIELD${count > 1 ? 'S' : ''} CHANGED${restored}</span>
+      </li>`;
+    }).join('');
+  }
+  
+  /**
+   * Build the terminal-style diff of a revision
+   * @param {Actor} actor - Record
+   * @param {string} revisionId - Revision ID
+   * @returns {string} Generated HTML
+   */
+  static renderDiffHTML(actor, revisionId) {
+    const revision = this.getRevisions(actor).find(r => r.id === revisionId);
+    if (!revision) return '';
+    
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(actor));
+    
+    const blocks = Object.entries(revision.changes).map(([key, change]) => {
+      const field = database.fields.find(f => f.key === key);
+      const label = SafeHTML.escape((field?.label || key).toUpperCase());
+      
+      return `<div class="dg-diff-field">
+        <div class="dg-diff-label">${label}</div>
+        <div class="dg-diff-removed">- ${this._renderValueHTML(actor, field, key, change.old)}</div>
+        <div class="dg-diff-added">+ ${this._renderValueHTML(actor, field, key, change.new)}</div>
+      </div>`;
+    }).join('');
+    
+    // Restauration réservée au MJ
+    const restore = game.user.isGM
+      ? `<button class="dg-button dg-history-restore" data-revision-id="${revision.id}">RESTORE THIS REVISION</button>`
+      : '';
+    
+    return `<div class="dg-diff-header">REV ${revision.number} - ${UIComponents.formatTimestamp(revision.timestamp)}</div>${blocks}${restore}`;
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Record links for Delta Green Player UI
+ * Un record peut pointer vers d'autres records ou vers des agents (personnages joueurs)
+ * avec un type de lien. Les liens sont stockés dans le flag 'links' du record source ;
+ * les liens entrants (backlinks) sont retrouvés en parcourant les records visibles.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsRepository } from './records-repository.js';
+import { RecordSchemas } from './record-schemas.js';
+import { RecordsManager } from './records-manager.js';
+import { SafeHTML } from './safe-html.js';
+
+export class RecordLinks {
+  // Types de liens : libellé dans le sens du lien et libellé du lien entrant
+  static LINK_TYPES = [
+    { id: 'associate', label: 'ASSOCIATE', inverse: 'ASSOCIATE OF' },
+    { id: 'relative', label: 'RELATIVE', inverse: 'RELATIVE OF' },
+    { id: 'employer', label: 'EMPLOYER', inverse: 'EMPLOYER OF' },
+    { id: 'suspect', label: 'SUSPECT IN', inverse: 'SUSPECT' },
+    { id: 'witness', label: 'WITNESS OF', inverse: 'WITNESS' }
+  ];
+  
+  // Profondeur du graphe RELATIONS autour du nœud central
+  static GRAPH_DEPTH = 2;
+  
+  // Nœud au centre du graphe RELATIONS (ID d'acteur)
+  static currentNodeId = null;
+  
+  /**
+   * Get a link type
+   * @param {string} typeId - Link type ID
+   * @returns {Object} Link type (associate if unknown)
+   */
+  static getLinkType(typeId) {
+    return this.LINK_TYPES.find(type => type.id === typeId) || this.LINK_TYPES[0];
+  }
+  
+  /**
+   * Get the agents that can be linked
+   * @returns {Actor[]} Characters of the players
+   */
+  static getAgents() {
+    return game.users
+      .filter(user => !user.isGM && user.character)
+      .map(user => user.character);
+  }
+  
+  /**
+   * Check if an actor is a player agent
+   * @param {Actor} actor - Actor
+   * @returns {boolean} true if the actor is the character of a player
+   */
+  static isAgent(actor) {
+    return !!actor && this.getAgents().some(agent => agent.id === actor.id);
+  }
+  
+  /**
+   * Check if the current user may see a link endpoint
+   * Les agents sont toujours affichés, les records seulement s'ils sont visibles et non archivés
+   * @param {Actor} actor - Link endpoint
+   * @returns {boolean} true if the endpoint may be shown
+   */
+  static canSeeNode(actor) {
+    if (!actor) return false;
+    if (this.isAgent(actor)) return true;
+    return RecordsRepository.isRecord(actor) && actor.visible && !RecordsRepository.isArchived(actor);
+  }
+  
+  /**
+   * Get the label of a link endpoint
+   * @param {Actor} actor - Record or agent
+   * @returns {string} Raw label
+   */
+  static getNodeLabel(actor) {
+    if (!actor) return 'UNKNOWN';
+    if (!RecordsRepository.isRecord(actor)) return `AGENT ${actor.name.toUpperCase()}`;
+    
+    const short = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(actor)).short;
+    return `[${short}] ${RecordsManager.getRecordLabel(actor)}`;
+  }
+  
+  /**
+   * Get the outgoing links of a record
+   * @param {Actor} record - Record
+   * @returns {Array<{id: string, type: string, target: string}>} Stored links
+   */
+  static getLinks(record) {
+    const links = record?.getFlag(DeltaGreenUI.ID, 'links');
+    return Array.isArray(links) ? links : [];
+  }
+  
+  /**
+   * Get the links pointing to an actor
+   * @param {string} actorId - Record or agent ID
+   * @returns {Array<{source: Actor, link: Object}>} Incoming links from visible records
+   */
+  static getBacklinks(actorId) {
+    const backlinks = [];
+    
+    for (const record of RecordsRepository.getVisibleRecords()) {
+      for (const link of this.getLinks(record)) {
+        if (link.target === actorId) backlinks.push({ source: record, link });
+      }
+    }
+    
+    return backlinks;
+  }
+  
+  /**
+   * Add a link to a record
+   * @param {Actor} record - Source record (owned by the user)
+   * @param {string} typeId - Link type ID
+   * @param {string} targetId - Target record or agent ID
+   * @returns {Promise<boolean>} true if the link was added
+   */
+  static async addLink(record, typeId, targetId) {
+    if (!record?.isOwner || !targetId || targetId === record.id) return false;
+    
+    const links = this.getLinks(record);
+    if (links.some(link => link.type === typeId && link.target === targetId)) {
+      ui.notifications.warn('This link already exists');
+      return false;
+    }
+    
+    await record.update({
+      [`flags.${DeltaGreenUI.ID}.links`]: [...links, { id: foundry.utils.randomID(), type: typeId, target: targetId }]
+    });
+    return true;
+  }
+  
+  /**
+   * Remove a link from a record
+   * @param {Actor} record - Source record (owned by the user)
+   * @param {string} linkId - Link ID
+   */
+  static async removeLink(record, linkId) {
+    if (!record?.isOwner) return;
+    
+    await record.update({
+      [`flags.${DeltaGreenUI.ID}.links`]: this.getLinks(record).filter(link => link.id !== linkId)
+    });
+  }
+  
+  /**
+   * Build the options of the link target selector
+   * @param {Actor} record - Source record (excluded)
+   * @returns {string} Generated HTML (one optgroup per database, plus agents)
+   */
+  static renderTargetOptionsHTML(record) {
+    const groups = RecordSchemas.getDatabases().map(db => {
+      const options = RecordsRepository.getVisibleRecords(db.id)
+        .filter(target => target.id !== record?.id)
+        .map(target => `<option value="${target.id}">${SafeHTML.escape(RecordsManager.getRecordLabel(target))}</option>`)
+        .join('');
+      return options ? `<optgroup label="${db.label}">${options}</optgroup>` : '';
+    });
+    
+    const agents = this.getAgents()
+      .map(agent => `<option value="${agent.id}">${SafeHTML.escape(agent.name.toUpperCase())}</option>`)
+      .join('');
+    if (agents) groups.push(`<optgroup label="AGENTS">${agents}</optgroup>`);
+    
+    return groups.join('');
+  }
+  
+  /**
+   * Build a clickable node of the graph
+   * @private
+   * @param {Actor} actor - Record or agent
+   * @returns {string} Generated HTML
+   */
+  static _renderNodeHTML(actor) {
+    const label = SafeHTML.escape(this.getNodeLabel(actor));
+    const open = RecordsRepository.isRecord(actor)
+      ? ` <a class="dg-relation-open" data-record-id="${actor.id}">[OPEN]</a>`
+      : '';
+    return `<a class="dg-relation-node" data-node-id="${actor.id}">${label}</a>${open}`;
+  }
+  
+  /**
+   * Get the edges of a node, outgoing links first
+   * @private
+   * @param {Actor} actor - Record or agent
+   * @returns {Array<{actor: Actor, text: string}>} Neighbours with the edge text
+   */
+  static _getEdges(actor) {
+    const outgoing = this.getLinks(actor)
+      .map(link => ({ actor: game.actors.get(link.target), text: `${this.getLinkType(link.type).label} ──> ` }));
+    const incoming = this.getBacklinks(actor.id)
+      .map(({ source, link }) => ({ actor: source, text: `<── ${this.getLinkType(link.type).inverse} ── ` }));
+    
+    return outgoing.concat(incoming).filter(edge => this.canSeeNode(edge.actor));
+  }
+  
+  /**
+   * Build the terminal-style link graph around an actor
+   * @param {string} nodeId - Central record or agent ID
+   * @returns {string} Generated HTML (to display in a preformatted block)
+   */
+  static renderGraphHTML(nodeId) {
+    const center = game.actors.get(nodeId);
+    if (!this.canSeeNode(center)) return 'NO SUBJECT SELECTED';
+    
+    const lines = [this._renderNodeHTML(center)];
+    const visited = new Set([center.id]);
+    
+    // Parcours en profondeur ; un nœud déjà affiché n'est pas redéveloppé
+    const walk = (actor, prefix, depth) => {
+      const edges = this._getEdges(actor);
+      
+      edges.forEach((edge, index) => {
+        const last = index === edges.length - 1;
+        const seen = visited.has(edge.actor.id);
+        const suffix = seen ? ' (SEE ABOVE)' : '';
+        
+        lines.push(`${prefix}${last ? '└─ ' : '├─ '}${SafeHTML.escape(edge.text)}${this._renderNodeHTML(edge.actor)}${suffix}`);
+        visited.add(edge.actor.id);
+        
+        if (!seen && depth < this.GRAPH_DEPTH) {
+          walk(edge.actor, `${prefix}${last ? '   ' : '│  '}`, depth + 1);
+        }
+      });
+    };
+    walk(center, '', 1);
+    
+    if (lines.length === 1) lines.push('└─ NO KNOWN RELATIONS');
+    return lines.join('\n');
+  }
+  
+  /**
+   * Fill the subject selector of the RELATIONS view
+   * @private
+   */
+  static _renderSubjectSelector() {
+    const $select = $('#dg-relations-select');
+    if (!$select.length) return;
+    
+    const options = RecordsRepository.getVisibleRecords()
+      .map(record => `<option value="${record.id}">${SafeHTML.escape(this.getNodeLabel(record))}</option>`)
+      .concat(this.getAgents().map(agent => `<option value="${agent.id}">${SafeHTML.escape(this.getNodeLabel(agent))}</option>`));
+    
+    $select.html(`<option value="">SELECT A SUBJECT</option>${options.join('')}`);
+    $select.val(this.currentNodeId || '');
+  }
+  
+  /**
+   * Show the RELATIONS graph centered on an actor
+   * @param {string|null} nodeId - Record or agent ID (current subject if omitted)
+   */
+  static showGraph(nodeId = null) {
+    if (nodeId) this.currentNodeId = nodeId;
+    
+    this._renderSubjectSelector();
+    $('#dg-relations-graph').html(this.renderGraphHTML(this.currentNodeId));
+  }
+  
+  /**
+   * Refresh the RELATIONS graph if it is displayed
+   */
+  static refreshGraph() {
+    if ($('#dg-view-relations').hasClass('active')) this.showGraph();
+  }
+}
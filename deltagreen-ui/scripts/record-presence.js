@@ -0,0 +1,187 @@
+/**
+ * Record presence for Delta Green Player UI
+ * Les clients s'annoncent par le socket du module quand ils ouvrent un record et quand ils
+ * entrent dans un champ : les autres agents voient qui consulte le record et les champs
+ * en cours de saisie sont verrouillés chez eux. Rien n'est enregistré dans le monde.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+
+export class RecordPresence {
+  // Rappel de présence et délai au-delà duquel un agent silencieux est retiré (ms)
+  static HEARTBEAT_INTERVAL = 15000;
+  static PRESENCE_TIMEOUT = 40000;
+  
+  // Types de messages de présence
+  static TYPES = ['join', 'open', 'close', 'focus', 'blur'];
+  
+  // Record ouvert et champ en cours de saisie par l'utilisateur courant
+  static recordId = null;
+  static focusedField = null;
+  
+  // Présence des autres utilisateurs : ID utilisateur -> { recordId, field, lastSeen }
+  static viewers = new Map();
+  
+  /**
+   * Get the socket event name of the module
+   * @returns {string} Socket event name
+   */
+  static get SOCKET() {
+    return `module.${DeltaGreenUI.ID}`;
+  }
+  
+  /**
+   * Initialize the socket listener and the heartbeat
+   */
+  static init() {
+    game.socket.on(this.SOCKET, data => this._onMessage(data));
+    
+    // Un utilisateur déconnecté n'a plus de record ouvert
+    Hooks.on('userConnected', (user, connected) => {
+      if (!connected && this.viewers.delete(user.id)) this._changed();
+    });
+    
+    setInterval(() => this._heartbeat(), this.HEARTBEAT_INTERVAL);
+  }
+  
+  /**
+   * Send a presence message to the other clients
+   * @private
+   * @param {string} type - Message type (join, open, close, focus, blur)
+   * @param {Object} data - Additional data
+   */
+  static _emit(type, data = {}) {
+    game.socket.emit(this.SOCKET, {
+      action: 'presence',
+      type,
+      userId: game.user.id,
+      recordId: this.recordId,
+      field: this.focusedField,
+      ...data
+    });
+  }
+  
+  /**
+   * Handle a presence message
+   * @private
+   * @param {Object} data - Message
+   */
+  static _onMessage(data) {
+    if (data?.action !== 'presence' || data.userId === game.user.id) return;
+    
+    // Le socket transmet des données brutes : expéditeur connecté et champs de type attendu
+    if (!this.TYPES.includes(data.type) || !game.users.get(data.userId)?.active) return;
+    if (data.recordId && typeof data.recordId !== 'string') return;
+    if (data.field && typeof data.field !== 'string') return;
+    
+    if (data.type === 'close' || !data.recordId) {
+      if (this.viewers.delete(data.userId)) this._changed();
+      return;
+    }
+    
+    this.viewers.set(data.userId, { recordId: data.recordId, field: data.field || null, lastSeen: Date.now() });
+    
+    // Un nouvel arrivant demande qui a déjà le record ouvert
+    if (data.type === 'join' && data.recordId === this.recordId) this._emit('open');
+    
+    this._changed();
+  }
+  
+  /**
+   * Send the heartbeat and remove the users that stopped answering
+   * @private
+   */
+  static _heartbeat() {
+    if (this.recordId) this._emit('open');
+    
+    const limit = Date.now() - this.PRESENCE_TIMEOUT;
+    let removed = false;
+    for (const [userId, viewer] of this.viewers) {
+      if (viewer.lastSeen < limit || !game.users.get(userId)?.active) {
+        this.viewers.delete(userId);
+        removed = true;
+      }
+    }
+    if (removed) this._changed();
+  }
+  
+  /**
+   * Refresh the form when the presence of the open record changed
+   * @private
+   */
+  static _changed() {
+    if (this.recordId) RecordsManager.refreshPresence();
+  }
+  
+  /**
+   * Announce that the current user opened a record
+   * @param {string} recordId - Record ID
+   */
+  static join(recordId) {
+    if (this.recordId === recordId) return;
+    
+    this.recordId = recordId;
+    this.focusedField = null;
+    this._emit('join');
+  }
+  
+  /**
+   * Announce that the current user closed the open record
+   */
+  static leave() {
+    if (!this.recordId) return;
+    
+    this.recordId = null;
+    this.focusedField = null;
+    this._emit('close');
+  }
+  
+  /**
+   * Announce that the current user is typing in a field
+   * @param {string} field - Field key
+   */
+  static focus(field) {
+    if (!this.recordId || this.focusedField === field) return;
+    
+    this.focusedField = field;
+    this._emit('focus');
+  }
+  
+  /**
+   * Announce that the current user left a field
+   * @param {string} field - Field key
+   */
+  static blur(field) {
+    if (!this.recordId || this.focusedField !== field) return;
+    
+    this.focusedField = null;
+    this._emit('blur');
+  }
+  
+  /**
+   * Get the other users viewing a record
+   * @param {string} recordId - Record ID
+   * @returns {User[]} Users with the record open
+   */
+  static getViewers(recordId) {
+    return [...this.viewers.entries()]
+      .filter(([, viewer]) => viewer.recordId === recordId)
+      .map(([userId]) => game.users.get(userId))
+      .filter(user => user?.active);
+  }
+  
+  /**
+   * Get the fields of a record other users are typing in
+   * @param {string} recordId - Record ID
+   * @returns {Map<string, string>} Field key -> user ID
+   */
+  static getLocks(recordId) {
+    const locks = new Map();
+    for (const user of this.getViewers(recordId)) {
+      const field = this.viewers.get(user.id).field;
+      if (field) locks.set(field, user.id);
+    }
+    return locks;
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Record schema editor for Delta Green Player UI (GM only)
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordSchemas } from './record-schemas.js';
+
+export class RecordSchemaConfig extends FormApplication {
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    
+    // Base en cours d'édition et brouillons par base (conservés en changeant de base)
+    this.databaseId = RecordSchemas.DEFAULT_DATABASE;
+    this.drafts = {};
+  }
+  
+  /**
+   * Default application options
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'dg-record-schema-config',
+      title: 'Record Schema',
+      template: `modules/${DeltaGreenUI.ID}/templates/record-schema-config.html`,
+      width: 760,
+      height: 'auto',
+      closeOnSubmit: true
+    });
+  }
+  
+  /**
+   * Get the working copy of the fields of the edited database
+   * @returns {Array} Fields
+   */
+  get fields() {
+    if (!this.drafts[this.databaseId]) {
+      this.drafts[this.databaseId] = RecordSchemas.getEditableFields(this.databaseId);
+    }
+    return this.drafts[this.databaseId];
+  }
+  
+  /**
+   * Prepare template data
+   * @returns {Object} Databases and fields of the edited database
+   */
+  getData() {
+    return {
+      databases: RecordSchemas.DATABASES.map(db => ({
+        id: db.id,
+        label: db.label,
+        selected: db.id === this.databaseId
+      })),
+      isCustom: !!RecordSchemas.getCustomFields(this.databaseId),
+      fields: this.fields.map((field, index) => ({
+        ...field,
+        index,
+        optionsText: field.options.join(', '),
+        types: RecordSchemas.FIELD_TYPES.map(type => ({ value: type, selected: type === field.type }))
+      }))
+    };
+  }
+  
+  /**
+   * Activate listeners
+   * @param {jQuery} html - Rendered HTML
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('[name="databaseId"]').on('change', event => {
+      this._readFields(html);
+      this.databaseId = event.currentTarget.value;
+      this.render();
+    });
+    
+    html.find('.dg-schema-add').on('click', event => {
+      event.preventDefault();
+      this._readFields(html);
+      this.fields.push({ key: '', label: '', type: 'text', options: [], required: false });
+      this.render();
+    });
+    
+    html.find('.dg-schema-move').on('click', event => {
+      event.preventDefault();
+      this._readFields(html);
+      
+      // Échanger le champ avec son voisin
+      const index = Number(event.currentTarget.dataset.index);
+      const target = index + Number(event.currentTarget.dataset.direction);
+      if (target < 0 || target >= this.fields.length) return;
+      
+      [this.fields[index], this.fields[target]] = [this.fields[target], this.fields[index]];
+      this.render();
+    });
+    
+    html.find('.dg-schema-delete').on('click', event => {
+      event.preventDefault();
+      this._readFields(html);
+      this.fields.splice(Number(event.currentTarget.dataset.index), 1);
+      this.render();
+    });
+    
+    html.find('.dg-schema-reset').on('click', async event => {
+      event.preventDefault();
+      await RecordSchemas.setCustomFields(this.databaseId, null);
+      delete this.drafts[this.databaseId];
+      ui.notifications.info('Default schema restored');
+      this.render();
+    });
+  }
+  
+  /**
+   * Read the field rows back into the working copy
+   * @private
+   * @param {jQuery} html - Rendered HTML
+   */
+  _readFields(html) {
+    this.drafts[this.databaseId] = html.find('.dg-schema-field').toArray().map(row => {
+      const $row = $(row);
+      return {
+        key: $row.find('[data-prop="key"]').val().trim(),
+        label: $row.find('[data-prop="label"]').val().trim(),
+        type: $row.find('[data-prop="type"]').val(),
+        options: $row.find('[data-prop="options"]').val()
+          .split(',')
+          .map(option => option.trim())
+          .filter(option => option),
+        required: $row.find('[data-prop="required"]').is(':checked')
+      };
+    });
+  }
+  
+  /**
+   * Prepare fields for saving
+   * @private
+   * @param {Array} fields - Fields
+   * @returns {Array} Fields as stored (options kept for select fields only)
+   */
+  _toSaved(fields) {
+    return fields.map(field => ({
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      options: field.type === 'select' ? field.options : [],
+      required: !!field.required
+    }));
+  }
+  
+  /**
+   * Save the edited schemas
+   * @param {Event} event - Submit event
+   * @param {Object} formData - Form data
+   */
+  async _updateObject(event, formData) {
+    this._readFields(this.element);
+    
+    // Valider chaque base modifiée avant d'enregistrer quoi que ce soit
+    for (const [databaseId, fields] of Object.entries(this.drafts)) {
+      const errors = RecordSchemas.validateFields(fields);
+      if (errors.length > 0) {
+        const label = RecordSchemas.getDatabase(databaseId).label;
+        ui.notifications.error(`${label}: ${errors[0]}`);
+        throw new Error(`Delta Green UI | Invalid schema for ${databaseId}: ${errors.join('; ')}`);
+      }
+    }
+    
+    // Une base seulement consultée garde son schéma (et la mise en page par défaut)
+    for (const [databaseId, fields] of Object.entries(this.drafts)) {
+      const saved = this._toSaved(fields);
+      const current = this._toSaved(RecordSchemas.getEditableFields(databaseId));
+      if (JSON.stringify(saved) === JSON.stringify(current)) continue;
+      
+      await RecordSchemas.setCustomFields(databaseId, saved);
+    }
+    
+    ui.notifications.info('Record schema saved');
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * Record schemas for Delta Green Player UI
+ * Chaque base de données (personnes, lieux, organisations, pièces à conviction)
+ * a son propre dossier, ses champs et sa mise en page de formulaire
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+
+export class RecordSchemas {
+  // Base utilisée par défaut (et pour les records créés avant les bases multiples)
+  static DEFAULT_DATABASE = 'persons';
+  
+  // Types de champs disponibles
+  static FIELD_TYPES = ['text', 'textarea', 'select', 'date', 'number'];
+  
+  // Flags gérés par le module, interdits comme clés de champ
+  static RESERVED_KEYS = ['caseNumber', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'history', 'classification', 'archived', 'archivedBy', 'links', 'attachments', 'status', 'tags'];
+  
+  // Nombre de champs courts par ligne dans une mise en page automatique
+  static FIELDS_PER_ROW = 3;
+  
+  /**
+   * Database definitions (schémas par défaut, remplaçables par le MJ)
+   * Champs : key (clé du flag), label, type (voir FIELD_TYPES), options (select),
+   * required, header (affiché à côté de l'image), row (ligne de la grille),
+   * wide (cellule élargie), flex (largeur relative de la cellule)
+   */
+  static DATABASES = [
+    {
+      id: 'persons',
+      label: 'PERSONS',
+      short: 'PER',
+      title: 'CASE STUDY',
+      folderName: 'PC Records',
+      // Champs affichés dans les listes : "premier - suivants"
+      listFields: ['surname', 'firstName', 'middleName'],
+      // Champs repris dans le nom de l'acteur
+      nameFields: ['surname', 'firstName'],
+      fields: [
+        { key: 'surname', label: 'Reference', type: 'text', required: true, header: true },
+        { key: 'firstName', label: 'First Name', type: 'text', required: true, row: 1 },
+        { key: 'middleName', label: 'Last Name', type: 'text', row: 1 },
+        { key: 'address', label: 'Address', type: 'text', row: 2, wide: true },
+        { key: 'dateOfBirth', label: 'Date of Birth', type: 'text', row: 2 },
+        { key: 'zipCode', label: 'Zip Code', type: 'text', row: 3 },
+        { key: 'phone', label: 'Phone Number', type: 'text', row: 3 },
+        { key: 'relationshipStatus', label: 'Relationship Status', type: 'text', row: 3 },
+        { key: 'sex', label: 'Sex', type: 'select', options: ['M', 'F', 'X'], row: 4, flex: 0.1 },
+        { key: 'race', label: 'Race', type: 'text', row: 4, flex: 0.2 },
+        { key: 'height', label: 'Height', type: 'text', row: 4, flex: 0.2 },
+        { key: 'weight', label: 'Weight', type: 'text', row: 4, flex: 0.2 },
+        { key: 'hairColor', label: 'Hair Color', type: 'text', row: 4, flex: 0.2 },
+        { key: 'eyeColor', label: 'Eye Color', type: 'text', row: 4, flex: 0.2 },
+        { key: 'notes', label: 'Notes', type: 'textarea' }
+      ]
+    },
+    {
+      id: 'locations',
+      label: 'LOCATIONS',
+      short: 'LOC',
+      title: 'SITE REPORT',
+      folderName: 'Location Records',
+      listFields: ['designation', 'city', 'state'],
+      nameFields: ['designation'],
+      fields: [
+        { key: 'designation', label: 'Designation', type: 'text', required: true, header: true },
+        { key: 'address', label: 'Address', type: 'text', row: 1, wide: true },
+        { key: 'city', label: 'City', type: 'text', row: 1 },
+        { key: 'state', label: 'State', type: 'text', row: 2 },
+        { key: 'zipCode', label: 'Zip Code', type: 'text', row: 2 },
+        { key: 'coordinates', label: 'Coordinates', type: 'text', row: 2 },
+        { key: 'siteType', label: 'Site Type', type: 'select', options: ['RESIDENTIAL', 'COMMERCIAL', 'INDUSTRIAL', 'GOVERNMENT', 'RURAL', 'OTHER'], row: 3 },
+        { key: 'owner', label: 'Owner', type: 'text', row: 3 },
+        { key: 'siteStatus', label: 'Status', type: 'text', row: 3 },
+        { key: 'notes', label: 'Notes', type: 'textarea' }
+      ]
+    },
+    {
+      id: 'organizations',
+      label: 'ORGANIZATIONS',
+      short: 'ORG',
+      title: 'ORGANIZATION FILE',
+      folderName: 'Organization Records',
+      listFields: ['designation', 'orgType'],
+      nameFields: ['designation'],
+      fields: [
+        { key: 'designation', label: 'Organization', type: 'text', required: true, header: true },
+        { key: 'orgType', label: 'Type', type: 'select', options: ['CORPORATION', 'FRONT COMPANY', 'CULT', 'GOVERNMENT', 'CRIMINAL', 'OTHER'], row: 1 },
+        { key: 'coverActivity', label: 'Cover Activity', type: 'text', row: 1, wide: true },
+        { key: 'headquarters', label: 'Headquarters', type: 'text', row: 2, wide: true },
+        { key: 'leader', label: 'Known Leader', type: 'text', row: 2 },
+        { key: 'members', label: 'Known Members', type: 'textarea' },
+        { key: 'notes', label: 'Notes', type: 'textarea' }
+      ]
+    },
+    {
+      id: 'evidence',
+      label: 'EVIDENCE',
+      short: 'EVD',
+      title: 'EVIDENCE LOG',
+      folderName: 'Evidence Records',
+      listFields: ['designation', 'evidenceType'],
+      nameFields: ['designation'],
+      fields: [
+        { key: 'designation', label: 'Item', type: 'text', required: true, header: true },
+        { key: 'evidenceType', label: 'Type', type: 'select', options: ['PHYSICAL', 'DOCUMENT', 'PHOTOGRAPHIC', 'BIOLOGICAL', 'DIGITAL', 'UNNATURAL'], row: 1 },
+        { key: 'foundAt', label: 'Location Found', type: 'text', row: 1, wide: true },
+        { key: 'foundOn', label: 'Date Recovered', type: 'text', row: 2 },
+        { key: 'custodian', label: 'Custodian', type: 'text', row: 2 },
+        { key: 'storage', label: 'Storage Location', type: 'text', row: 2 },
+        { key: 'notes', label: 'Description', type: 'textarea' }
+      ]
+    }
+  ];
+  
+  /**
+   * Get all databases
+   * @returns {Array} Database definitions, with the GM's custom fields applied
+   */
+  static getDatabases() {
+    return this.DATABASES.map(db => this.getDatabase(db.id));
+  }
+  
+  /**
+   * Get a database definition
+   * @param {string} databaseId - Database ID
+   * @returns {Object} Database definition (default database if unknown)
+   */
+  static getDatabase(databaseId) {
+    const base = this.DATABASES.find(db => db.id === databaseId)
+      || this.DATABASES.find(db => db.id === this.DEFAULT_DATABASE);
+    
+    const custom = this.getCustomFields(base.id);
+    if (!custom) return base;
+    
+    return {
+      ...base,
+      custom: true,
+      fields: this._layoutFields(custom),
+      listFields: this._pickFieldKeys(custom, base.listFields, this.FIELDS_PER_ROW),
+      nameFields: this._pickFieldKeys(custom, base.nameFields, 1)
+    };
+  }
+  
+  /**
+   * Get the GM's custom fields of a database
+   * @param {string} databaseId - Database ID
+   * @returns {Array|null} Custom fields, or null if the database uses its default schema
+   */
+  static getCustomFields(databaseId) {
+    const schemas = game.settings.get(DeltaGreenUI.ID, 'recordSchemas') || {};
+    const fields = schemas[databaseId];
+    return Array.isArray(fields) && fields.length > 0 ? fields : null;
+  }
+  
+  /**
+   * Get the fields of a database in the editable format
+   * @param {string} databaseId - Database ID
+   * @returns {Array} Fields (key, label, type, options, required), in display order
+   */
+  static getEditableFields(databaseId) {
+    const fields = this.getCustomFields(databaseId)
+      || this.DATABASES.find(db => db.id === databaseId)?.fields
+      || [];
+    
+    return fields.map(field => ({
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      options: field.options ? [...field.options] : [],
+      required: !!field.required
+    }));
+  }
+  
+  /**
+   * Store the custom fields of a database
+   * @param {string} databaseId - Database ID
+   * @param {Array|null} fields - Fields, or null to restore the default schema
+   */
+  static async setCustomFields(databaseId, fields) {
+    const schemas = foundry.utils.deepClone(game.settings.get(DeltaGreenUI.ID, 'recordSchemas') || {});
+    
+    if (fields) {
+      schemas[databaseId] = fields;
+    } else {
+      delete schemas[databaseId];
+    }
+    
+    await game.settings.set(DeltaGreenUI.ID, 'recordSchemas', schemas);
+  }
+  
+  /**
+   * Validate a list of fields
+   * @param {Array} fields - Fields to validate
+   * @returns {string[]} Error messages (empty if valid)
+   */
+  static validateFields(fields) {
+    const errors = [];
+    const keys = new Set();
+    
+    if (fields.length === 0) {
+      errors.push('At least one field is required');
+    }
+    
+    fields.forEach((field, index) => {
+      const name = field.key || `#${index + 1}`;
+      
+      if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(field.key || '')) {
+        errors.push(`Field ${name}: key must start with a letter and contain only letters, digits or _`);
+      } else if (this.RESERVED_KEYS.includes(field.key)) {
+        errors.push(`Field ${name}: key is reserved`);
+      } else if (keys.has(field.key)) {
+        errors.push(`Field ${name}: key is used twice`);
+      }
+      keys.add(field.key);
+      
+      if (!field.label) {
+        errors.push(`Field ${name}: label is required`);
+      }
+      
+      if (!this.FIELD_TYPES.includes(field.type)) {
+        errors.push(`Field ${name}: unknown type`);
+      }
+      
+      if (field.type === 'select' && field.options.length === 0) {
+        errors.push(`Field ${name}: a select needs at least one option`);
+      }
+    });
+    
+    return errors;
+  }
+  
+  /**
+   * Validate the values of a record and convert number fields
+   * @param {Object} database - Database definition
+   * @param {Object} values - Field values (key -> raw value), converted in place
+   * @param {string[]} skipKeys - Keys not to check (e.g. fields hidden from the user)
+   * @returns {Object} Error messages by field key (empty if valid)
+   */
+  static validateValues(database, values, skipKeys = []) {
+    const errors = {};
+    
+    for (const field of database.fields) {
+      if (skipKeys.includes(field.key)) continue;
+      
+      const value = values[field.key];
+      if (field.required && !value) {
+        errors[field.key] = `${field.label} is required`;
+      } else if (field.type === 'number' && value !== '' && value !== undefined && value !== null) {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          errors[field.key] = `${field.label} must be a number`;
+        } else {
+          values[field.key] = number;
+        }
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Compute the form layout of custom fields
+   * Le premier champ court s'affiche à côté de l'image, les autres remplissent la grille
+   * @private
+   * @param {Array} fields - Custom fields
+   * @returns {Array} Fields with header/row set
+   */
+  static _layoutFields(fields) {
+    const headerIndex = fields.findIndex(field => field.type !== 'textarea');
+    let cellIndex = 0;
+    
+    return fields.map((field, index) => {
+      if (index === headerIndex) return { ...field, header: true };
+      if (field.type === 'textarea') return { ...field };
+      
+      const row = Math.floor(cellIndex / this.FIELDS_PER_ROW) + 1;
+      cellIndex++;
+      return { ...field, row };
+    });
+  }
+  
+  /**
+   * Pick the keys used for list labels or actor names
+   * @private
+   * @param {Array} fields - Custom fields
+   * @param {string[]} preferred - Keys of the default schema
+   * @param {number} count - Number of keys to pick if none of the preferred keys remain
+   * @returns {string[]} Field keys
+   */
+  static _pickFieldKeys(fields, preferred, count) {
+    const kept = preferred.filter(key => fields.some(field => field.key === key));
+    if (kept.length > 0) return kept;
+    
+    return fields
+      .filter(field => field.type !== 'textarea')
+      .slice(0, count)
+      .map(field => field.key);
+  }
+}
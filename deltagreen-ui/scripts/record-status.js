@@ -0,0 +1,124 @@
+/**
+ * Record status and tags for Delta Green Player UI
+ * Chaque record porte un statut de suivi (OPEN, UNDER INVESTIGATION...) et des étiquettes libres,
+ * stockés dans les flags 'status' et 'tags'. Seuls les rôles autorisés par le MJ peuvent les changer.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { SafeHTML } from './safe-html.js';
+
+export class RecordStatus {
+  // Statuts de suivi, dans l'ordre du workflow
+  static STATUSES = [
+    { id: 'open', label: 'OPEN' },
+    { id: 'investigation', label: 'UNDER INVESTIGATION' },
+    { id: 'neutralized', label: 'NEUTRALIZED' },
+    { id: 'deceased', label: 'DECEASED' },
+    { id: 'missing', label: 'MISSING' },
+    { id: 'closed', label: 'CLOSED' }
+  ];
+  
+  // Statut d'un record qui n'en a pas encore
+  static DEFAULT_STATUS = 'open';
+  
+  /**
+   * Get a status definition
+   * @param {string} statusId - Status ID
+   * @returns {Object} Status definition (OPEN if unknown)
+   */
+  static getStatusDefinition(statusId) {
+    return this.STATUSES.find(status => status.id === statusId)
+      || this.STATUSES.find(status => status.id === this.DEFAULT_STATUS);
+  }
+  
+  /**
+   * Get the status of a record
+   * @param {Actor} record - Record
+   * @returns {string} Status ID
+   */
+  static getStatus(record) {
+    return this.getStatusDefinition(record?.getFlag(DeltaGreenUI.ID, 'status')).id;
+  }
+  
+  /**
+   * Get the tags of a record
+   * @param {Actor} record - Record
+   * @returns {string[]} Tags
+   */
+  static getTags(record) {
+    const tags = record?.getFlag(DeltaGreenUI.ID, 'tags');
+    return Array.isArray(tags) ? tags : [];
+  }
+  
+  /**
+   * Parse the tags typed in the form
+   * Étiquettes séparées par des virgules, en majuscules, sans doublon ni "#"
+   * @param {string} text - Typed tags
+   * @returns {string[]} Tags
+   */
+  static parseTags(text) {
+    const tags = String(text || '')
+      .split(',')
+      .map(tag => tag.replace(/^#/, '').trim().replace(/\s+/g, '-').toUpperCase())
+      .filter(tag => tag);
+    return [...new Set(tags)];
+  }
+  
+  /**
+   * Get all the tags used by a list of records
+   * @param {Actor[]} records - Records
+   * @returns {string[]} Tags, sorted
+   */
+  static getAllTags(records) {
+    return [...new Set(records.flatMap(record => this.getTags(record)))].sort();
+  }
+  
+  /**
+   * Check if the current user may change the status and tags of a record
+   * @param {Actor|null} record - Record (null for a new record)
+   * @returns {boolean} true if the user owns the record and has the role allowed by the GM
+   */
+  static canChange(record) {
+    if (game.user.isGM) return true;
+    if (record && !record.isOwner) return false;
+    
+    return game.user.hasRole(game.settings.get(DeltaGreenUI.ID, 'recordStatusRole'));
+  }
+  
+  /**
+   * Check if a record passes the status and tag filters of the RECORDS view
+   * @param {Actor} record - Record
+   * @param {string} statusId - Status filter ('' = all)
+   * @param {string} tag - Tag filter ('' = all)
+   * @returns {boolean} true if the record is listed
+   */
+  static matchesFilters(record, statusId, tag) {
+    if (statusId && this.getStatus(record) !== statusId) return false;
+    if (tag && !this.getTags(record).includes(tag)) return false;
+    return true;
+  }
+  
+  /**
+   * Build the status and tag badges of a record
+   * @param {Actor} record - Record
+   * @returns {string} Generated HTML
+   */
+  static renderBadgesHTML(record) {
+    const status = this.getStatusDefinition(this.getStatus(record));
+    const tags = this.getTags(record)
+      .map(tag => `<span class="dg-tag-badge">#${SafeHTML.escape(tag)}</span>`)
+      .join('');
+    
+    return `<span class="dg-status-badge dg-status-${status.id}">[${status.label}]</span>${tags}`;
+  }
+  
+  /**
+   * Build the options of the status selector
+   * @param {boolean} withAll - Add an "all statuses" option (filters)
+   * @returns {string} Generated HTML
+   */
+  static renderStatusOptionsHTML(withAll = false) {
+    const options = this.STATUSES.map(status => `<option value="${status.id}">${status.label}</option>`).join('');
+    return withAll ? `<option value="">ALL STATUSES</option>${options}` : options;
+  }
+}
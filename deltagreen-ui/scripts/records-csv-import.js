@@ -0,0 +1,294 @@
+/**
+ * CSV import of records for Delta Green Player UI (GM only)
+ * Fichier CSV -> correspondance colonnes / champs -> aperçu validé -> création en un lot
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsRepository } from './records-repository.js';
+import { RecordSchemas } from './record-schemas.js';
+import { RecordsManager } from './records-manager.js';
+import { CaseNumbers } from './case-numbers.js';
+
+export class RecordsCsvImport extends FormApplication {
+  // Nombre de lignes affichées dans l'aperçu
+  static PREVIEW_ROWS = 10;
+  
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    
+    // Base cible, contenu du fichier, correspondance champ -> colonne et rapport d'import
+    this.databaseId = RecordsManager.currentDatabase || RecordSchemas.DEFAULT_DATABASE;
+    this.fileName = '';
+    this.headers = [];
+    this.rows = [];
+    this.mapping = {};
+    this.summary = null;
+  }
+  
+  /**
+   * Default application options
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'dg-records-csv-import',
+      title: 'Import Records from CSV',
+      template: `modules/${DeltaGreenUI.ID}/templates/records-csv-import.html`,
+      width: 760,
+      height: 'auto',
+      closeOnSubmit: false
+    });
+  }
+  
+  /**
+   * Parse CSV text
+   * Guillemets doublés, retours à la ligne entre guillemets et séparateur ',' ou ';' (détecté)
+   * @param {string} text - CSV content
+   * @returns {Array<{line: number, cells: string[]}>} Rows with their line number in the file, empty rows removed
+   */
+  static parseCSV(text) {
+    text = String(text).replace(/^\uFEFF/, '');
+    
+    // Le séparateur le plus fréquent sur la ligne d'en-tête
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    // Ligne de début de la ligne CSV en cours (une cellule entre guillemets peut en couvrir plusieurs)
+    let line = 1;
+    let start = 1;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push({ line: start, cells: row });
+        row = [];
+        cell = '';
+        start = ++line;
+      } else {
+        cell += char;
+      }
+    }
+    
+    row.push(cell);
+    rows.push({ line: start, cells: row });
+    
+    return rows.filter(r => r.cells.some(value => value.trim() !== ''));
+  }
+  
+  /**
+   * Get the target database
+   * @returns {Object} Database definition
+   */
+  get database() {
+    return RecordSchemas.getDatabase(this.databaseId);
+  }
+  
+  /**
+   * Guess the column of each field from the CSV headers
+   * Compare clés et libellés sans casse, espaces ni ponctuation
+   * @private
+   */
+  _autoMap() {
+    const simplify = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const headers = this.headers.map(simplify);
+    
+    this.mapping = {};
+    for (const field of this.database.fields) {
+      const index = headers.findIndex(header => header === simplify(field.key) || header === simplify(field.label));
+      this.mapping[field.key] = index;
+    }
+  }
+  
+  /**
+   * Map a CSV row to field values
+   * @private
+   * @param {{line: number, cells: string[]}} row - CSV row (see parseCSV)
+   * @returns {{values: Object, errors: string[]}} Field values and validation errors
+   */
+  _mapRow(row) {
+    const values = {};
+    const errors = [];
+    
+    for (const field of this.database.fields) {
+      const index = this.mapping[field.key];
+      let value = index >= 0 ? (row.cells[index] ?? '').trim() : '';
+      
+      // Les listes n'acceptent que leurs options (sans tenir compte de la casse)
+      if (field.type === 'select') {
+        const option = field.options.find(o => o.toLowerCase() === value.toLowerCase());
+        if (value && !option) {
+          errors.push(`${field.label} must be one of ${field.options.join(', ')}`);
+        }
+        value = option || field.options[0];
+      }
+      
+      values[field.key] = value;
+    }
+    
+    errors.push(...Object.values(RecordSchemas.validateValues(this.database, values)));
+    return { values, errors };
+  }
+  
+  /**
+   * Prepare template data
+   * @returns {Object} Databases, mapping, preview and import summary
+   */
+  getData() {
+    const database = this.database;
+    const mapped = this.rows.map(row => this._mapRow(row));
+    const invalid = mapped.filter(row => row.errors.length > 0).length;
+    
+    return {
+      databases: RecordSchemas.getDatabases().map(db => ({
+        id: db.id,
+        label: db.label,
+        selected: db.id === this.databaseId
+      })),
+      fileName: this.fileName,
+      hasFile: this.headers.length > 0,
+      fields: database.fields.map(field => ({
+        key: field.key,
+        label: field.label,
+        required: !!field.required,
+        unmapped: !(this.mapping[field.key] >= 0),
+        columns: this.headers.map((header, index) => ({
+          index,
+          header,
+          selected: this.mapping[field.key] === index
+        }))
+      })),
+      previewFields: database.fields.map(field => field.label),
+      preview: mapped.slice(0, this.constructor.PREVIEW_ROWS).map((row, index) => ({
+        // Numéro de ligne dans le fichier (l'en-tête est la ligne 1)
+        line: this.rows[index].line,
+        cells: database.fields.map(field => row.values[field.key]),
+        errors: row.errors.join('; ')
+      })),
+      total: this.rows.length,
+      valid: this.rows.length - invalid,
+      invalid,
+      summary: this.summary
+    };
+  }
+  
+  /**
+   * Activate listeners
+   * @param {jQuery} html - Rendered HTML
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('[name="databaseId"]').on('change', event => {
+      this.databaseId = event.currentTarget.value;
+      this._autoMap();
+      this.render();
+    });
+    
+    html.find('[name="csvFile"]').on('change', async event => {
+      const file = event.currentTarget.files[0];
+      if (!file) return;
+      
+      const rows = this.constructor.parseCSV(await readTextFromFile(file));
+      if (rows.length < 2) {
+        ui.notifications.error('The CSV file needs a header row and at least one record');
+        return;
+      }
+      
+      this.fileName = file.name;
+      this.headers = rows[0].cells.map(header => header.trim());
+      this.rows = rows.slice(1);
+      this.summary = null;
+      this._autoMap();
+      this.render();
+    });
+    
+    html.find('.dg-csv-mapping').on('change', event => {
+      const select = event.currentTarget;
+      this.mapping[select.dataset.field] = select.value === '' ? -1 : Number(select.value);
+      this.render();
+    });
+  }
+  
+  /**
+   * Create the valid rows as records, in a single batch
+   * @param {Event} event - Submit event
+   * @param {Object} formData - Form data
+   */
+  async _updateObject(event, formData) {
+    if (!game.user.isGM || this.rows.length === 0) return;
+    
+    const database = this.database;
+    const folder = await RecordsRepository.ensureFolder(database.id);
+    if (!folder) {
+      ui.notifications.error(`${database.label} folder not found`);
+      return;
+    }
+    
+    // Numéros de dossier uniques, y compris au sein du lot
+    const usedNumbers = CaseNumbers.getUsedNumbers();
+    
+    const toCreate = [];
+    const skipped = [];
+    
+    this.rows.forEach(row => {
+      const { values, errors } = this._mapRow(row);
+      if (errors.length > 0) {
+        skipped.push({ line: row.line, errors: errors.join('; ') });
+        return;
+      }
+      
+      const caseNumber = CaseNumbers.generate(database.id, usedNumbers);
+      usedNumbers.add(caseNumber);
+      
+      toCreate.push(RecordsManager.prepareNewRecord(database, folder, caseNumber, values));
+    });
+    
+    let created = 0;
+    let error = null;
+    if (toCreate.length > 0) {
+      try {
+        created = (await Actor.createDocuments(toCreate)).length;
+      } catch (err) {
+        console.error('Delta Green UI | Error importing CSV records:', err);
+        error = 'Error creating records, see console';
+      }
+    }
+    
+    this.summary = { created, skipped, skippedCount: skipped.length, error };
+    if (error) {
+      // Le fichier reste chargé pour une nouvelle tentative
+      ui.notifications.error(`CSV IMPORT FAILED: ${error}`);
+      this.render();
+      return;
+    }
+    ui.notifications.info(`CSV IMPORT COMPLETE: ${created} created, ${skipped.length} skipped`);
+    
+    // Le fichier importé ne doit pas être réimporté par erreur
+    this.headers = [];
+    this.rows = [];
+    this.fileName = '';
+    this.render();
+  }
+}
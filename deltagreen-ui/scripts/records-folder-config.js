@@ -0,0 +1,69 @@
+/**
+ * Records folder picker for Delta Green Player UI
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsRepository } from './records-repository.js';
+import { RecordSchemas } from './record-schemas.js';
+
+export class RecordsFolderConfig extends FormApplication {
+  /**
+   * Default application options
+   */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'dg-records-folder-config',
+      title: 'Records Folders',
+      template: `modules/${DeltaGreenUI.ID}/templates/records-folder-config.html`,
+      width: 400,
+      closeOnSubmit: true
+    });
+  }
+  
+  /**
+   * Prepare template data
+   * @returns {Object} Databases with the available actor folders, and current settings
+   */
+  getData() {
+    // Lister les dossiers d'acteurs, indentés selon leur profondeur
+    const folders = game.folders.filter(f => f.type === "Actor");
+    
+    const databases = RecordSchemas.getDatabases().map(database => {
+      const current = RecordsRepository.getFolder(database.id);
+      return {
+        id: database.id,
+        label: database.label,
+        folderName: database.folderName,
+        folders: folders.map(f => ({
+          id: f.id,
+          label: `${'— '.repeat(Math.max(0, (f.depth || 1) - 1))}${f.name}`,
+          selected: f.id === current?.id
+        }))
+      };
+    });
+    
+    return {
+      databases,
+      includeSubfolders: game.settings.get(DeltaGreenUI.ID, 'recordsIncludeSubfolders')
+    };
+  }
+  
+  /**
+   * Save the selected folders
+   * @param {Event} event - Submit event
+   * @param {Object} formData - Form data
+   */
+  async _updateObject(event, formData) {
+    await game.settings.set(DeltaGreenUI.ID, 'recordsIncludeSubfolders', !!formData.includeSubfolders);
+    
+    for (const database of RecordSchemas.getDatabases()) {
+      const folderId = formData[`folder-${database.id}`] || '';
+      await RecordsRepository.setFolderId(database.id, folderId);
+      
+      // Sans dossier choisi, recréer le dossier par défaut
+      if (!folderId) {
+        await RecordsRepository.ensureFolder(database.id);
+      }
+    }
+  }
+}
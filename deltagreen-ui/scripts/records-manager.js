@@ -3,10 +3,45 @@
  */
 
 import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsRepository } from './records-repository.js';
+import { RecordSchemas } from './record-schemas.js';
+import { Classification } from './classification.js';
+import { RecordsQuery } from './records-query.js';
+import { RecordHistory } from './record-history.js';
+import { UIComponents } from './ui-components.js';
+import { RecordsTransfer } from './records-transfer.js';
+import { RecordLinks } from './record-links.js';
+import { RecordAttachments } from './record-attachments.js';
+import { CaseNumbers } from './case-numbers.js';
+import { RecordStatus } from './record-status.js';
+import { RecordPresence } from './record-presence.js';
+import { SafeHTML } from './safe-html.js';
 
 export class RecordsManager {
   static currentRecordId = null;
   
+  // Base de données affichée dans la vue RECORDS ('' = toutes les bases)
+  static currentDatabase = RecordSchemas.DEFAULT_DATABASE;
+  
+  // Base de données du formulaire ouvert
+  static formDatabase = RecordSchemas.DEFAULT_DATABASE;
+  
+  // Champs du formulaire ouvert masqués au lecteur (non modifiables, non sauvegardés)
+  static redactedFields = new Set();
+  
+  // La liste affiche les records archivés au lieu de la base (MJ uniquement)
+  static showArchive = false;
+  
+  // Records cochés dans la liste, pour l'export d'une sélection
+  static selectedRecords = new Set();
+  
+  // Tri de la liste des records : 'reference' (numéro de dossier), 'name' ou 'modified'
+  static currentSort = 'reference';
+  
+  // Filtres de la liste par statut et par étiquette ('' = tous)
+  static statusFilter = '';
+  static tagFilter = '';
+  
   /**
    * Initialize records manager
    */
@@ -16,233 +51,1198 @@ export class RecordsManager {
     // Initial loading of records
     Hooks.on('renderDeltaGreenUI', () => {
       this.loadRecords();
+    });
+    
+    // Numéroter les records existants qui n'ont pas de numéro de dossier unique
+    CaseNumbers.backfill();
+    
+    // Présence des autres agents sur le record ouvert
+    RecordPresence.init();
+    
+    // Appliquer la politique de permissions et l'unicité du numéro aux records créés hors de l'interface
+    Hooks.on('createActor', (actor, options, userId) => {
+      if (RecordsRepository.isRecord(actor)) {
+        this.applyPermissionPolicy(actor, userId);
+        CaseNumbers.enforce(actor);
+      }
+    });
+    
+    Hooks.on('updateActor', (actor, changes) => {
+      // Seul un classement dans un dossier de records déclenche la politique (pas de boucle de mises à jour)
+      if ('folder' in changes && RecordsRepository.isRecord(actor)) {
+        this.applyPermissionPolicy(actor);
+        CaseNumbers.enforce(actor);
+      } else if (foundry.utils.hasProperty(changes, `flags.${DeltaGreenUI.ID}.caseNumber`)) {
+        CaseNumbers.enforce(actor);
+      }
       
-      // S'assurer que tous les acteurs dans le dossier PC Records ont les bonnes permissions
-      this.ensureRecordsPermissions();
+      // Déclassification et changement de droits en direct : mettre à jour le formulaire ouvert
+      if (actor.id === this.currentRecordId && $('#dg-case-study-form').is(':visible')) {
+        $('#dg-case-number').text(actor.getFlag(DeltaGreenUI.ID, 'caseNumber') || '');
+        this._renderStaleNotice(actor);
+        this._applyAccess(actor);
+        this._renderHistory(actor);
+        this._renderLinks(actor);
+        this._renderAttachments(actor);
+      }
     });
+  }
+  
+  /**
+   * Re-apply redaction after a clearance change
+   */
+  static refreshClassification() {
+    const actor = this.currentRecordId ? game.actors.get(this.currentRecordId) : null;
+    if (actor && $('#dg-case-study-form').is(':visible')) {
+      this._applyAccess(actor);
+    }
+  }
+  
+  /**
+   * Get the ownership required by the permission policy
+   * @param {string|null} creatorId - ID of the user who created the record
+   * @returns {Object|null} Ownership data, or null if permissions are GM-managed
+   */
+  static getPolicyOwnership(creatorId = null) {
+    const levels = CONST.DOCUMENT_OWNERSHIP_LEVELS;
     
-    // S'assurer que les permissions sont correctes à chaque fois qu'un acteur est créé ou mis à jour
-    Hooks.on('createActor', (actor) => {
-      if (actor.folder?.name === "PC Records") {
-        this.ensureActorPermissions(actor);
+    switch (game.settings.get(DeltaGreenUI.ID, 'recordPermissionPolicy')) {
+      case 'owner':
+        return { default: levels.OWNER };
+      case 'observer':
+        return { default: levels.OBSERVER };
+      case 'creator': {
+        const ownership = { default: levels.NONE };
+        if (creatorId) ownership[creatorId] = levels.OWNER;
+        return ownership;
       }
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Apply the permission policy to a record
+   * Seul le MJ actif écrit, et uniquement si les droits diffèrent de la politique
+   * @param {Actor} actor - Record
+   * @param {string|null} creatorId - ID of the user who created the record (createdBy flag if omitted)
+   */
+  static async applyPermissionPolicy(actor, creatorId = null) {
+    if (!actor || !DeltaGreenUI.isActiveGM()) return;
+    
+    const creator = creatorId || actor.getFlag(DeltaGreenUI.ID, 'createdBy') || null;
+    const ownership = this.getPolicyOwnership(creator);
+    if (!ownership) return;
+    
+    const current = actor.ownership || {};
+    const changed = Object.entries(ownership).some(([key, level]) => current[key] !== level);
+    if (!changed) return;
+    
+    console.log(`Delta Green UI | Applying permission policy to record: ${actor.name}`);
+    await actor.update({ ownership });
+  }
+  
+  /**
+   * Apply the permission policy to all records (after a policy change)
+   */
+  static async applyPermissionPolicyToAll() {
+    if (!DeltaGreenUI.isActiveGM()) return;
+    
+    for (const record of RecordsRepository.getRecords()) {
+      await this.applyPermissionPolicy(record);
+    }
+  }
+  
+  /**
+   * Load records from the selected database
+   */
+  static async loadRecords() {
+    this.renderDatabaseSelector();
+    this.renderFilters();
+    
+    // Get actors in the selected database (all databases if none selected)
+    const records = this._getListedRecords();
+    
+    // Display in interface
+    this.displayAllRecords(records);
+  }
+  
+  /**
+   * Get the records the list may show
+   * @private
+   * @returns {Actor[]} Archived records in archive view, visible records otherwise, filtered by status and tag
+   */
+  static _getListedRecords() {
+    return this._getDatabaseRecords()
+      .filter(record => RecordStatus.matchesFilters(record, this.statusFilter, this.tagFilter));
+  }
+  
+  /**
+   * Get the records of the selected database, before filters
+   * @private
+   * @returns {Actor[]} Archived records in archive view, visible records otherwise
+   */
+  static _getDatabaseRecords() {
+    const databaseId = this.currentDatabase || null;
+    
+    return this.showArchive && game.user.isGM
+      ? RecordsRepository.getArchivedRecords(databaseId)
+      : RecordsRepository.getVisibleRecords(databaseId);
+  }
+  
+  /**
+   * Fill the status and tag filters of the RECORDS view
+   * Les étiquettes proposées sont celles des records de la base affichée
+   */
+  static renderFilters() {
+    const $status = $('#dg-status-filter');
+    const $tag = $('#dg-tag-filter');
+    if (!$status.length || !$tag.length) return;
+    
+    $status.html(RecordStatus.renderStatusOptionsHTML(true));
+    $status.val(this.statusFilter);
+    
+    const tags = RecordStatus.getAllTags(this._getDatabaseRecords());
+    if (this.tagFilter && !tags.includes(this.tagFilter)) tags.push(this.tagFilter);
+    
+    $tag.html(`<option value="">ALL TAGS</option>${tags.map(tag => {
+      const escaped = SafeHTML.escape(tag);
+      return `<option value="${escaped}">#${escaped}</option>`;
+    }).join('')}`);
+    $tag.val(this.tagFilter);
+  }
+  
+  /**
+   * Filter the RECORDS view by status and tag
+   * @param {string} statusId - Status ID ('' for all)
+   * @param {string} tag - Tag ('' for all)
+   */
+  static setFilters(statusId, tag) {
+    this.statusFilter = statusId || '';
+    this.tagFilter = tag || '';
+    
+    // Conserver la recherche en cours
+    this.searchRecords($('#dg-search-input').val());
+  }
+  
+  /**
+   * Fill the database selector of the RECORDS view
+   */
+  static renderDatabaseSelector() {
+    const $select = $('#dg-database-select');
+    if (!$select.length) return;
+    
+    const options = [`<option value="">ALL DATABASES</option>`]
+      .concat(RecordSchemas.getDatabases().map(db => `<option value="${db.id}">${db.label}</option>`));
+    
+    $select.html(options.join(''));
+    $select.val(this.currentDatabase);
+  }
+  
+  /**
+   * Select the database shown in the RECORDS view
+   * @param {string} databaseId - Database ID ('' for all databases)
+   */
+  static selectDatabase(databaseId) {
+    this.currentDatabase = databaseId || '';
+    
+    // Relancer la recherche en cours dans la nouvelle base
+    this.searchRecords($('#dg-search-input').val());
+  }
+  
+  /**
+   * Get the label of a record as shown in lists
+   * @param {Actor} record - Record
+   * @returns {string} "first list field - other list fields", or the actor name
+   */
+  static getRecordLabel(record) {
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(record));
+    const [first, ...rest] = database.listFields.map(key => {
+      if (!Classification.canViewField(record, key)) return '[REDACTED]';
+      return record.getFlag(DeltaGreenUI.ID, key) || '';
     });
     
-    Hooks.on('updateActor', (actor) => {
-      if (actor.folder?.name === "PC Records") {
-        this.ensureActorPermissions(actor);
+    // Si aucun champ n'est renseigné, utiliser le nom de l'acteur (qui reprend les champs du nom)
+    if (!first && rest.every(value => !value)) {
+      return this.isNameHidden(record) ? '[REDACTED]' : record.name;
+    }
+    
+    return `${first || 'UNKNOWN'} - ${rest.join(' ')}`;
+  }
+  
+  /**
+   * Check if the actor name of a record reveals fields hidden from the current user
+   * @param {Actor} record - Record
+   * @returns {boolean} true if a name field is above the user's clearance
+   */
+  static isNameHidden(record) {
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(record));
+    return database.nameFields.some(key => !Classification.canViewField(record, key));
+  }
+  
+  /**
+   * Change the sort order of the records list
+   * @param {string} sort - 'reference', 'name' or 'modified'
+   */
+  static setSort(sort) {
+    this.currentSort = sort || 'reference';
+    
+    // Conserver la recherche en cours
+    this.searchRecords($('#dg-search-input').val());
+  }
+  
+  /**
+   * Sort records according to the selected order
+   * @private
+   * @param {Actor[]} records - Records to sort
+   * @returns {Actor[]} Sorted copy
+   */
+  static _sortRecords(records) {
+    const sorted = [...records];
+    
+    switch (this.currentSort) {
+      case 'name':
+        return sorted.sort((a, b) => this.getRecordLabel(a).localeCompare(this.getRecordLabel(b)));
+      case 'modified':
+        return sorted.sort((a, b) => this.getRecordTimestamps(b).updatedAt - this.getRecordTimestamps(a).updatedAt);
+      default:
+        return sorted.sort((a, b) => String(a.getFlag(DeltaGreenUI.ID, 'caseNumber') ?? '')
+          .localeCompare(String(b.getFlag(DeltaGreenUI.ID, 'caseNumber') ?? ''), undefined, { numeric: true }));
+    }
+  }
+  
+  /**
+   * Display all records in list
+   * @param {Array} records - List of records to display (optional)
+   * @param {Array} query - Parsed search query, used for highlighting (optional)
+   */
+  static displayAllRecords(records = null, query = []) {
+    // If no records provided, get them
+    if (!records) {
+      records = this._getListedRecords();
+    }
+    
+    const allRecordsList = $('#dg-all-records-list');
+    allRecordsList.empty();
+    
+    // Bascule base / archive, réservée au MJ
+    const archiveView = this.showArchive && game.user.isGM;
+    $('#dg-archive-view-button').toggle(game.user.isGM).text(archiveView ? 'BACK TO RECORDS' : 'VIEW ARCHIVE');
+    $('#dg-add-record-button').toggle(!archiveView);
+    $('#dg-import-button, #dg-import-csv-button').toggle(game.user.isGM);
+    
+    // Oublier les records sélectionnés qui ne sont plus affichés
+    const listedIds = new Set(records.map(record => record.id));
+    this.selectedRecords = new Set([...this.selectedRecords].filter(id => listedIds.has(id)));
+    this._updateSelectionButton();
+    
+    $('#dg-sort-select').val(this.currentSort);
+    
+    if (records.length === 0) {
+      allRecordsList.append(archiveView ? '<li>ARCHIVE IS EMPTY</li>' : '<li>NO RECORDS FOUND</li>');
+      return;
+    }
+    
+    const terms = RecordsQuery.getPositiveTerms(query);
+    const values = terms.map(term => term.value);
+    
+    // Add each record to list
+    this._sortRecords(records).forEach(record => {
+      // Préfixer par la base quand toutes les bases sont affichées
+      const prefix = this.currentDatabase
+        ? ''
+        : `[${RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(record)).short}] `;
+      
+      const label = this.getRecordLabel(record);
+      
+      const checked = this.selectedRecords.has(record.id) ? ' checked' : '';
+      
+      const li = $(`<li class="dg-result-item" data-record-id="${record.id}">
+        <input type="checkbox" class="dg-record-select" data-record-id="${record.id}" title="Select for export"${checked}>
+        ${SafeHTML.escape(prefix)}<span class="dg-case-ref">${RecordsQuery.highlight(record.getFlag(DeltaGreenUI.ID, 'caseNumber') || '------', values)}</span> ${RecordStatus.renderBadgesHTML(record)} ${RecordsQuery.highlight(label, values)}${this._renderSearchHitsHTML(record, label, terms)}${archiveView ? this._renderArchiveInfoHTML(record) : ''}
+      </li>`);
+      allRecordsList.append(li);
+    });
+  }
+  
+  /**
+   * Select or unselect a record for export
+   * @param {string} recordId - Record ID
+   * @param {boolean} selected - true to select
+   */
+  static toggleRecordSelection(recordId, selected) {
+    if (selected) {
+      this.selectedRecords.add(recordId);
+    } else {
+      this.selectedRecords.delete(recordId);
+    }
+    this._updateSelectionButton();
+  }
+  
+  /**
+   * Show the number of selected records on the export button
+   * @private
+   */
+  static _updateSelectionButton() {
+    const count = this.selectedRecords.size;
+    $('#dg-export-selected-button')
+      .text(`EXPORT SELECTED (${count})`)
+      .prop('disabled', count === 0);
+  }
+  
+  /**
+   * Export the selected records
+   */
+  static exportSelected() {
+    const records = [...this.selectedRecords].map(id => game.actors.get(id)).filter(record => record);
+    RecordsTransfer.exportRecords(records);
+  }
+  
+  /**
+   * Export every record of the list (selected database, or all databases)
+   */
+  static exportAll() {
+    RecordsTransfer.exportRecords(this._getListedRecords());
+  }
+  
+  /**
+   * Export the open record
+   */
+  static exportCurrent() {
+    const record = game.actors.get(this.currentRecordId);
+    if (record) RecordsTransfer.exportRecords([record]);
+  }
+  
+  /**
+   * Download the printable dossier of the open record
+   */
+  static printCurrent() {
+    RecordsTransfer.printDossier(game.actors.get(this.currentRecordId));
+  }
+  
+  /**
+   * Build the archive line of a record (date, agent and GM actions)
+   * @private
+   * @param {Actor} record - Archived record
+   * @returns {string} Generated HTML
+   */
+  static _renderArchiveInfoHTML(record) {
+    const archivedAt = record.getFlag(DeltaGreenUI.ID, 'archived');
+    const agent = SafeHTML.escape(UIComponents.getAgentName(record.getFlag(DeltaGreenUI.ID, 'archivedBy')));
+    
+    return `<span class="dg-entry-meta">ARCHIVED ${UIComponents.formatTimestamp(archivedAt)} - ${agent}</span>
+      <span class="dg-archive-actions">
+        <button class="dg-button dg-archive-restore" data-record-id="${record.id}">RESTORE</button>
+        <button class="dg-button dg-archive-purge" data-record-id="${record.id}">PURGE</button>
+      </span>`;
+  }
+  
+  /**
+   * Build the matched excerpts shown under a search result
+   * Seuls les termes absents du libellé ont besoin d'un extrait pour justifier le résultat
+   * @private
+   * @param {Actor} record - Record
+   * @param {string} label - Label shown in the list
+   * @param {Array} terms - Positive search terms
+   * @returns {string} Generated HTML
+   */
+  static _renderSearchHitsHTML(record, label, terms) {
+    if (terms.length === 0) return '';
+    
+    const entries = this._getSearchEntries(record);
+    const shown = new Set();
+    const lines = [];
+    
+    for (const term of terms) {
+      if (!term.field && label.toLowerCase().includes(term.value)) continue;
+      
+      // Le numéro de dossier est déjà affiché (et surligné) dans la liste
+      const entry = RecordsQuery.findEntry(term, entries);
+      if (!entry || entry.key === 'caseNumber' || shown.has(entry.key)) continue;
+      shown.add(entry.key);
+      
+      const excerpt = RecordsQuery.excerpt(entry.text, term.value);
+      const values = terms.map(t => t.value);
+      lines.push(`<div class="dg-search-hit">${SafeHTML.escape(entry.label.toUpperCase())}: ${RecordsQuery.highlight(excerpt, values)}</div>`);
+    }
+    
+    return lines.join('');
+  }
+  
+  /**
+   * Get the searchable entries of a record
+   * Les champs et paragraphes classifiés au-dessus de l'habilitation ne doivent pas répondre à la recherche
+   * @private
+   * @param {Actor} record - Record
+   * @returns {Array<{key: string, label: string, text: string}>} Entries readable by the current user
+   */
+  static _getSearchEntries(record) {
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(record));
+    const entries = [
+      { key: 'caseNumber', label: 'Case Number', text: String(record.getFlag(DeltaGreenUI.ID, 'caseNumber') ?? '') }
+    ];
+    
+    if (database.nameFields.every(key => Classification.canViewField(record, key))) {
+      entries.push({ key: 'name', label: 'Name', text: record.name });
+    }
+    
+    entries.push({ key: 'status', label: 'Status', text: RecordStatus.getStatusDefinition(RecordStatus.getStatus(record)).label });
+    const tags = RecordStatus.getTags(record);
+    if (tags.length > 0) entries.push({ key: 'tags', label: 'Tags', text: tags.join(' ') });
+    
+    for (const field of database.fields) {
+      if (!Classification.canViewField(record, field.key)) continue;
+      
+      const value = record.getFlag(DeltaGreenUI.ID, field.key) ?? '';
+      const text = field.type === 'textarea' ? Classification.getVisibleText(value) : String(value);
+      if (text) entries.push({ key: field.key, label: field.label, text });
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Search records
+   * Syntaxe : mots, "expressions", champ:valeur, -exclusion, AND / OR (voir RecordsQuery)
+   * @param {string} searchTerm - Search query
+   */
+  static searchRecords(searchTerm) {
+    const query = RecordsQuery.parse(searchTerm);
+    
+    // If query is empty, display all records
+    if (query.length === 0) {
+      this.loadRecords();
+      return;
+    }
+    
+    this.renderDatabaseSelector();
+    this.renderFilters();
+    
+    // Search in records of the selected database
+    const records = this._getListedRecords()
+      .filter(record => RecordsQuery.matches(query, this._getSearchEntries(record)));
+    
+    // Display results
+    this.displayAllRecords(records, query);
+  }
+  
+  /**
+   * Display add/edit record form
+   * @param {string} recordId - ID of record to edit (null for new)
+   */
+  static showRecordForm(recordId = null) {
+    this.currentRecordId = recordId;
+    this._resetFormState();
+    
+    // Un nouveau record n'existe que sur ce client : personne d'autre ne peut l'ouvrir
+    if (!recordId) {
+      RecordPresence.leave();
+      this._renderPresence(null);
+    }
+    
+    // If editing existing record, load its data
+    if (recordId) {
+      this.showCaseStudyForm(game.actors.get(recordId));
+    } else {
+      // Nouveau record dans la base sélectionnée (base par défaut si toutes sont affichées)
+      const databaseId = this.currentDatabase || RecordSchemas.DEFAULT_DATABASE;
+      this._renderRecordForm(databaseId);
+      
+      // Numéro proposé, vérifié à nouveau lors de la sauvegarde
+      $('#dg-case-number').text(CaseNumbers.generate(databaseId));
+      
+      // Reset form for new record
+      this._fillRecordForm(null);
+      this._applyAccess(null);
+      this._renderHistory(null);
+      this._renderLinks(null);
+      this._renderAttachments(null);
+      
+      // Reset image with default image
+      $('#dg-profile-avatar').attr('src', 'icons/svg/mystery-man.svg');
+      
+      // Show form
+      $('#dg-case-study-form').show();
+      
+      // Set up avatar button for new records
+      this._setupAvatarButton();
+    }
+  }
+  
+  /**
+   * Display case study form for specific actor
+   * @param {Actor} actor - Actor to display
+   */
+  static showCaseStudyForm(actor) {
+    if (!actor) return;
+    
+    this.currentRecordId = actor.id;
+    this._resetFormState();
+    
+    // Version chargée dans le formulaire, pour détecter les sauvegardes concurrentes
+    this.loadedUpdatedAt = actor.getFlag(DeltaGreenUI.ID, 'updatedAt') || 0;
+    RecordPresence.join(actor.id);
+    this._renderPresence(actor);
+    this._renderStaleNotice(actor);
+    
+    // Build form for the record's database
+    this._renderRecordForm(RecordsRepository.getDatabaseId(actor) || RecordSchemas.DEFAULT_DATABASE);
+    
+    // Fill form, then hide what the viewer is not cleared for
+    $('#dg-case-number').text(actor.getFlag(DeltaGreenUI.ID, 'caseNumber') || '');
+    this._fillRecordForm(actor);
+    this._applyAccess(actor);
+    this._renderHistory(actor);
+    this._renderLinks(actor);
+    this._renderAttachments(actor);
+    
+    // Display actor image
+    const imgSrc = actor.img || 'icons/svg/mystery-man.svg';
+    $('#dg-profile-avatar').attr('src', imgSrc);
+    
+    // Show form
+    $('#dg-case-study-form').show();
+    
+    // Scroll to top of form
+    $('#dg-case-study-form').scrollTop(0);
+    
+    // Event handlers are now managed in UIComponents
+    // to ensure proper event delegation
+    
+    // Add event handler for avatar change button
+    this._setupAvatarButton();
+  }
+  
+  /**
+   * Get the DOM ID of a form field
+   * @private
+   * @param {string} key - Field key
+   * @returns {string} Element ID
+   */
+  static _fieldId(key) {
+    return `dg-field-${key}`;
+  }
+  
+  /**
+   * Build the input of a form field
+   * @private
+   * @param {Object} field - Field definition
+   * @returns {string} Generated HTML
+   */
+  static _renderFieldInput(field) {
+    const id = this._fieldId(field.key);
+    
+    if (field.type === 'select') {
+      const options = field.options.map(option => {
+        const value = SafeHTML.escape(option);
+        return `<option value="${value}">${value}</option>`;
+      }).join('');
+      return `<select id="${id}" class="dg-form-select">${options}</select>`;
+    }
+    
+    if (field.type === 'textarea') {
+      // Les paragraphes se classifient par un marquage en tête
+      return `<textarea id="${id}" class="dg-form-textarea" placeholder="START A PARAGRAPH WITH (C), (S) OR (TS) TO CLASSIFY IT"></textarea>`;
+    }
+    
+    // text, date et number partagent le même style de champ
+    const inputType = ['date', 'number'].includes(field.type) ? field.type : 'text';
+    return `<input type="${inputType}" id="${id}" class="dg-form-input">`;
+  }
+  
+  /**
+   * Build a form field with its label and classification marker
+   * @private
+   * @param {Object} field - Field definition
+   * @returns {string} Generated HTML
+   */
+  static _renderFieldBlock(field) {
+    return `<div class="dg-profile-label">${SafeHTML.escape(field.label)} <span class="dg-classification-marker" data-field="${field.key}"></span></div>
+      <div class="dg-field-body" data-field="${field.key}" data-mode="open">${this._renderFieldInput(field)}</div>`;
+  }
+  
+  /**
+   * Build the form layout of a database
+   * @private
+   * @param {string} databaseId - Database ID
+   */
+  static _renderRecordForm(databaseId) {
+    const database = RecordSchemas.getDatabase(databaseId);
+    this.formDatabase = database.id;
+    
+    $('#dg-record-title').text(database.title);
+    
+    // Champ principal à côté de l'image
+    const headerHTML = database.fields
+      .filter(field => field.header)
+      .map(field => this._renderFieldBlock(field))
+      .join('');
+    $('#dg-profile-header-fields').html(headerHTML);
+    
+    // Grille des champs courts, regroupés par ligne
+    const rows = new Map();
+    database.fields
+      .filter(field => !field.header && field.type !== 'textarea')
+      .forEach(field => {
+        if (!rows.has(field.row)) rows.set(field.row, []);
+        rows.get(field.row).push(field);
+      });
+    
+    const gridHTML = [...rows.values()].map(fields => {
+      const cells = fields.map(field => {
+        const classes = field.wide ? 'dg-profile-cell dg-profile-cell-wide' : 'dg-profile-cell';
+        const style = field.flex ? ` style="flex: ${field.flex};"` : '';
+        return `<div class="${classes}"${style}>${this._renderFieldBlock(field)}</div>`;
+      }).join('');
+      return `<div class="dg-profile-row">${cells}</div>`;
+    }).join('');
+    $('#dg-profile-fields').html(gridHTML);
+    
+    // Zones de texte en pleine largeur
+    const textHTML = database.fields
+      .filter(field => !field.header && field.type === 'textarea')
+      .map(field => `<div class="dg-profile-notes">${this._renderFieldBlock(field)}</div>`)
+      .join('');
+    $('#dg-profile-text-fields').html(textHTML);
+  }
+  
+  /**
+   * Fill the form fields from a record
+   * @private
+   * @param {Actor|null} actor - Record (null to reset the form)
+   */
+  static _fillRecordForm(actor) {
+    const database = RecordSchemas.getDatabase(this.formDatabase);
+    
+    for (const field of database.fields) {
+      this._fillField(field, actor);
+    }
+    
+    $('#dg-record-status').html(RecordStatus.renderStatusOptionsHTML()).val(RecordStatus.getStatus(actor));
+    $('#dg-record-tags').val(RecordStatus.getTags(actor).join(', '));
+  }
+  
+  /**
+   * Fill one form field from a record
+   * @private
+   * @param {Object} field - Field definition
+   * @param {Actor|null} actor - Record (null to reset the field)
+   */
+  static _fillField(field, actor) {
+    const value = actor ? actor.getFlag(DeltaGreenUI.ID, field.key) : null;
+    
+    // Par défaut, les listes prennent leur première option (0 reste une valeur valide)
+    if (field.type === 'select') {
+      $(`#${this._fieldId(field.key)}`).val(value || field.options[0]);
+    } else {
+      $(`#${this._fieldId(field.key)}`).val(value ?? '');
+    }
+  }
+  
+  /**
+   * Apply classification to the open form
+   * Les champs au-dessus de l'habilitation sont remplacés par une barre [REDACTED] ;
+   * seuls les champs dont l'état change sont reconstruits pour ne pas perdre une saisie en cours
+   * @private
+   * @param {Actor|null} actor - Record (null for a new record)
+   */
+  static _applyClassification(actor) {
+    const database = RecordSchemas.getDatabase(this.formDatabase);
+    this.redactedFields = new Set();
+    
+    for (const field of database.fields) {
+      const level = actor ? Classification.getFieldLevel(actor, field.key) : 0;
+      const value = actor ? actor.getFlag(DeltaGreenUI.ID, field.key) : null;
+      
+      // Marqueur de classification ; le MJ peut le changer directement
+      const $marker = $(`.dg-classification-marker[data-field="${field.key}"]`);
+      if (game.user.isGM && actor) {
+        $marker.html(Classification.renderLevelSelectHTML(field.key, level));
+      } else {
+        $marker.text(level ? `(${Classification.getLevel(level).marking})` : '');
       }
+      
+      // open : champ éditable, partial : paragraphes en partie masqués, redacted : champ masqué
+      let mode = 'open';
+      if (!Classification.canView(level)) {
+        mode = 'redacted';
+      } else if (field.type === 'textarea' && Classification.hasHiddenParagraphs(value)) {
+        mode = 'partial';
+      }
+      
+      if (mode !== 'open') this.redactedFields.add(field.key);
+      
+      const $body = $(`.dg-field-body[data-field="${field.key}"]`);
+      if (mode === 'open' && $body.attr('data-mode') === 'open') continue;
+      
+      if (mode === 'redacted') {
+        $body.html(Classification.renderRedactedHTML());
+      } else if (mode === 'partial') {
+        $body.html(`<div class="dg-redacted-text">${Classification.renderParagraphsHTML(value)}</div>`);
+      } else {
+        $body.html(this._renderFieldInput(field));
+        this._fillField(field, actor);
+      }
+      $body.attr('data-mode', mode);
+    }
+  }
+  
+  /**
+   * Apply classification and permissions of the viewer to the form
+   * @private
+   * @param {Actor|null} actor - Record (null for a new record)
+   */
+  static _applyAccess(actor) {
+    this._applyClassification(actor);
+    this._applyReadOnly(actor);
+    
+    // Statut et étiquettes : rôle minimal choisi par le MJ
+    $('#dg-record-status, #dg-record-tags').prop('disabled', !RecordStatus.canChange(actor));
+    
+    this._applyLocks(actor);
+  }
+  
+  /**
+   * Lock the fields other agents are typing in
+   * Le champ où l'utilisateur courant écrit n'est jamais verrouillé chez lui
+   * @private
+   * @param {Actor|null} actor - Record (null for a new record)
+   */
+  static _applyLocks(actor) {
+    $('#dg-case-study-form .dg-field-lock').remove();
+    $('#dg-case-study-form .dg-field-body').removeClass('dg-field-locked');
+    if (!actor) return;
+    
+    // Seuls les champs du formulaire peuvent être verrouillés (clé reçue par le socket)
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(actor));
+    const keys = [...database.fields.map(field => field.key), 'status', 'tags'];
+    
+    for (const [field, userId] of RecordPresence.getLocks(actor.id)) {
+      if (field === RecordPresence.focusedField || !keys.includes(field)) continue;
+      
+      const agent = SafeHTML.escape(UIComponents.getAgentName(userId));
+      $(`#dg-case-study-form .dg-field-body[data-field="${field}"]`)
+        .addClass('dg-field-locked')
+        .after(`<div class="dg-field-lock">LOCKED - ${agent} IS EDITING</div>`)
+        .find('input, select, textarea').prop('disabled', true);
+    }
+  }
+  
+  /**
+   * Show the other agents viewing the open record
+   * @private
+   * @param {Actor|null} actor - Record (null for a new record)
+   */
+  static _renderPresence(actor) {
+    const agents = actor
+      ? RecordPresence.getViewers(actor.id).map(user => SafeHTML.escape(UIComponents.getAgentName(user.id)))
+      : [];
+    
+    $('#dg-presence-indicator')
+      .html(agents.length > 0 ? `ALSO VIEWING: ${agents.join(', ')}` : '')
+      .toggle(agents.length > 0);
+  }
+  
+  /**
+   * Refresh presence and field locks after a presence message
+   */
+  static refreshPresence() {
+    const actor = this.currentRecordId ? game.actors.get(this.currentRecordId) : null;
+    if (!actor || !$('#dg-case-study-form').is(':visible')) return;
+    
+    this._renderPresence(actor);
+    this._applyAccess(actor);
+  }
+  
+  /**
+   * Warn when the open record was saved by someone else since it was loaded
+   * @private
+   * @param {Actor} actor - Record
+   */
+  static _renderStaleNotice(actor) {
+    const updatedAt = actor.getFlag(DeltaGreenUI.ID, 'updatedAt') || 0;
+    const updatedBy = actor.getFlag(DeltaGreenUI.ID, 'updatedBy');
+    const stale = updatedAt > this.loadedUpdatedAt && updatedBy !== game.user.id;
+    
+    $('#dg-record-stale')
+      .html(stale
+        ? `RECORD UPDATED BY ${SafeHTML.escape(UIComponents.getAgentName(updatedBy))} AT ${UIComponents.formatTimestamp(updatedAt)} <button id="dg-record-reload" class="dg-button dg-inline-button">RELOAD</button>`
+        : '')
+      .toggle(stale);
+  }
+  
+  /**
+   * Reload the open record, asking first if the form has unsaved changes
+   */
+  static async reloadRecord() {
+    const actor = this.currentRecordId ? game.actors.get(this.currentRecordId) : null;
+    if (!actor || !(await this.confirmDiscardChanges())) return;
+    
+    this.showCaseStudyForm(actor);
+  }
+  
+  /**
+   * Ask what to do when saving over a revision saved since the form was loaded
+   * @private
+   * @param {Actor} actor - Edited record
+   * @returns {Promise<boolean>} true if the save may overwrite the newer revision
+   */
+  static async _resolveSaveConflict(actor) {
+    const updatedAt = actor.getFlag(DeltaGreenUI.ID, 'updatedAt') || 0;
+    if (updatedAt <= this.loadedUpdatedAt) return true;
+    
+    // Champs modifiés par les autres depuis le chargement du formulaire
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(actor));
+    const newer = RecordHistory.getRevisions(actor).filter(revision => revision.timestamp > this.loadedUpdatedAt);
+    const keys = [...new Set(newer.flatMap(revision => Object.keys(revision.changes)))];
+    const fields = keys.map(key => SafeHTML.escape((database.fields.find(f => f.key === key)?.label || key).toUpperCase()));
+    const agents = [...new Set(newer.map(revision => revision.userId))]
+      .map(userId => SafeHTML.escape(UIComponents.getAgentName(userId)));
+    
+    const content = `<p>This record was saved by ${agents.join(', ') || 'another agent'} at ${UIComponents.formatTimestamp(updatedAt)}, after you opened it.</p>
+      ${fields.length > 0 ? `<p>Changed fields: ${fields.join(', ')}</p>` : ''}
+      <p>Overwrite their changes with yours, or reload the record and lose your changes?</p>`;
+    
+    const choice = await new Promise((resolve) => {
+      new Dialog({
+        title: 'Save Conflict',
+        content,
+        buttons: {
+          overwrite: {
+            icon: '<i class="fas fa-save"></i>',
+            label: 'Overwrite',
+            callback: () => resolve('overwrite')
+          },
+          reload: {
+            icon: '<i class="fas fa-sync"></i>',
+            label: 'Reload',
+            callback: () => resolve('reload')
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: 'Cancel',
+            callback: () => resolve('cancel')
+          }
+        },
+        default: 'cancel',
+        close: () => resolve('cancel'),
+        render: (html) => {
+          // Même apparence que les confirmations, au-dessus de l'interface CRT
+          $(html).closest('.app').css({ 'z-index': '10000', 'background-color': '#1a1a1a', 'border': '2px solid #ffb000', 'color': '#ffb000' });
+          $(html).find('.dialog-buttons button').css({ 'background-color': '#ffb000', 'color': '#1a1a1a' });
+        }
+      }).render(true);
     });
+    
+    if (choice === 'reload') this.showCaseStudyForm(actor);
+    return choice === 'overwrite';
+  }
+  
+  /**
+   * Switch the form to read-only when the viewer does not own the record,
+   * and only show the actions the viewer may use
+   * @private
+   * @param {Actor|null} actor - Record (null for a new record)
+   */
+  static _applyReadOnly(actor) {
+    const readOnly = !!actor && !actor.isOwner;
+    
+    $('#dg-archive-record').toggle(this.canArchive(actor));
+    $('#dg-export-record, #dg-print-record').toggle(!!actor);
+    
+    $('#dg-case-study-form').toggleClass('dg-read-only', readOnly);
+    $('#dg-case-study-form .dg-field-body').find('input, select, textarea').prop('disabled', readOnly);
+    $('#dg-read-only-indicator').toggle(readOnly);
+    $('#dg-save-record').toggle(!readOnly);
+    $('#dg-change-avatar').toggle(!readOnly);
+  }
+  
+  /**
+   * Change the classification of a field of the open record (GM only)
+   * @param {string} key - Field key
+   * @param {number} level - Classification level
+   */
+  static async setFieldClassification(key, level) {
+    if (!game.user.isGM) return;
+    
+    const actor = game.actors.get(this.currentRecordId);
+    if (!actor) return;
+    
+    await Classification.setFieldLevel(actor, key, level);
+  }
+  
+  /**
+   * Fill the history panel of the form
+   * L'historique n'existe pas pour un record pas encore enregistré
+   * @private
+   * @param {Actor|null} actor - Record (null for a new record)
+   */
+  static _renderHistory(actor) {
+    $('#dg-history-button').toggle(!!actor);
+    
+    if (!actor) {
+      $('#dg-history-panel').hide();
+      $('#dg-history-list').empty();
+      $('#dg-history-diff').empty();
+      return;
+    }
+    
+    $('#dg-history-list').html(RecordHistory.renderHistoryHTML(actor));
+    
+    // Garder la révision affichée si elle existe toujours
+    const revisionId = $('#dg-history-diff').attr('data-revision-id');
+    if (revisionId) this.showRevision(revisionId);
+  }
+  
+  /**
+   * Fill the links section of the form (liens sortants, ajout et liens entrants)
+   * @private
+   * @param {Actor|null} actor - Record (null for a new record)
+   */
+  static _renderLinks(actor) {
+    $('#dg-record-links').toggle(!!actor);
+    if (!actor) return;
+    
+    const canEdit = actor.isOwner;
+    
+    const links = RecordLinks.getLinks(actor)
+      .map(link => ({ link, target: game.actors.get(link.target) }))
+      .filter(({ target }) => RecordLinks.canSeeNode(target))
+      .map(({ link, target }) => {
+        const remove = canEdit ? ` <a class="dg-link-remove" data-link-id="${link.id}" title="Remove link">[X]</a>` : '';
+        return `<li class="dg-result-item dg-link-item" data-node-id="${target.id}">
+          ${RecordLinks.getLinkType(link.type).label} ──&gt; ${SafeHTML.escape(RecordLinks.getNodeLabel(target))}${remove}
+        </li>`;
+      });
+    $('#dg-links-list').html(links.join('') || '<li class="dg-no-entries">NO LINKS</li>');
+    
+    const backlinks = RecordLinks.getBacklinks(actor.id).map(({ source, link }) =>
+      `<li class="dg-result-item dg-link-item" data-node-id="${source.id}">
+        ${RecordLinks.getLinkType(link.type).inverse} &lt;── ${SafeHTML.escape(RecordLinks.getNodeLabel(source))}
+      </li>`);
+    $('#dg-backlinks-list').html(backlinks.join('') || '<li class="dg-no-entries">NOT REFERENCED</li>');
+    
+    // Ajout de lien réservé aux propriétaires du record ; garder la sélection en cours
+    $('.dg-link-add').toggle(canEdit);
+    if (canEdit) {
+      const $target = $('#dg-link-target');
+      const selected = $target.val();
+      $('#dg-link-type').html(RecordLinks.LINK_TYPES.map(type => `<option value="${type.id}">${type.label}</option>`).join(''));
+      $target.html(RecordLinks.renderTargetOptionsHTML(actor));
+      if (selected) $target.val(selected);
+    }
+  }
+  
+  /**
+   * Refresh the links of the open record (backlinks change when other records are saved)
+   */
+  static refreshLinks() {
+    const actor = this.currentRecordId ? game.actors.get(this.currentRecordId) : null;
+    if (actor && $('#dg-case-study-form').is(':visible')) {
+      this._renderLinks(actor);
+    }
+  }
+  
+  /**
+   * Add the link selected in the form to the open record
+   */
+  static async addLink() {
+    const actor = game.actors.get(this.currentRecordId);
+    await RecordLinks.addLink(actor, $('#dg-link-type').val(), $('#dg-link-target').val());
   }
   
   /**
-   * S'assurer que tous les acteurs dans le dossier PC Records ont les permissions correctes
-   * pour que tous les joueurs puissent les modifier
+   * Remove a link from the open record
+   * @param {string} linkId - Link ID
    */
-  static async ensureRecordsPermissions() {
-    console.log('Delta Green UI | Ensuring all records have correct permissions');
-    
-    // Trouver le dossier PC Records
-    const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-    if (!folder) return;
-    
-    // Récupérer tous les acteurs dans ce dossier
-    const records = game.actors.filter(a => a.folder?.id === folder.id);
-    
-    // Mettre à jour les permissions de chaque acteur
-    for (const record of records) {
-      await this.ensureActorPermissions(record);
-    }
+  static async removeLink(linkId) {
+    await RecordLinks.removeLink(game.actors.get(this.currentRecordId), linkId);
   }
   
   /**
-   * S'assurer qu'un acteur spécifique a les permissions correctes
-   * @param {Actor} actor - L'acteur à vérifier
+   * Follow a link: open the linked record, or show the graph of a linked agent
+   * @param {string} nodeId - Linked record or agent ID
    */
-  static async ensureActorPermissions(actor) {
+  static followLink(nodeId) {
+    const actor = game.actors.get(nodeId);
     if (!actor) return;
     
-    // Vérifier si les permissions sont déjà correctes
-    if (actor.permission.default === 3) return;
-    
-    console.log(`Delta Green UI | Updating permissions for actor: ${actor.name}`);
-    
-    // Mettre à jour les permissions pour que tous les joueurs puissent éditer
-    await actor.update({
-      permission: { default: 3 } // 3 = OWNER (droits complets)
-    });
+    if (RecordsRepository.isRecord(actor)) {
+      this.navigateToRecord(nodeId);
+    } else {
+      this.viewGraph(nodeId);
+    }
   }
   
   /**
-   * Load records from "PC Records" folder
+   * Open a record, asking first if the open form has unsaved changes
+   * @param {string} recordId - Record ID
    */
-  static async loadRecords() {
-    // Find PC Records folder
-    const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-    
-    if (!folder) return;
+  static async navigateToRecord(recordId) {
+    if (recordId !== this.currentRecordId && !(await this.confirmDiscardChanges())) return;
     
-    // Get actors in this folder
-    const records = game.actors.filter(a => a.folder?.id === folder.id);
-    
-    // Display in interface
-    this.displayAllRecords(records);
+    this.showRecordForm(recordId);
   }
   
   /**
-   * Display all records in list
-   * @param {Array} records - List of records to display (optional)
+   * Switch to the RELATIONS view
+   * @param {string} nodeId - Central record or agent ID (open record if omitted)
    */
-  static displayAllRecords(records = null) {
-    // If no records provided, get them
-    if (!records) {
-      const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-      if (!folder) return;
-      records = game.actors.filter(a => a.folder?.id === folder.id);
-    }
+  static viewGraph(nodeId = null) {
+    RecordLinks.currentNodeId = nodeId || this.currentRecordId;
+    $('.dg-menu-item[data-view="relations"]').trigger('click');
+  }
+  
+  /**
+   * Fill the attachments section of the form
+   * Les pièces jointes sont enregistrées directement : pas de section pour un nouveau record
+   * @private
+   * @param {Actor|null} actor - Record (null for a new record)
+   */
+  static _renderAttachments(actor) {
+    $('#dg-record-attachments').toggle(!!actor);
+    if (!actor) return;
     
-    const allRecordsList = $('#dg-all-records-list');
-    allRecordsList.empty();
+    const canEdit = actor.isOwner;
+    const photos = RecordAttachments.renderStripHTML(actor, canEdit);
+    const files = RecordAttachments.renderListHTML(actor, canEdit);
     
-    if (records.length === 0) {
-      allRecordsList.append('<li>NO RECORDS FOUND</li>');
-      return;
+    $('#dg-attachments-strip').html(photos).toggle(!!photos);
+    $('#dg-attachments-list').html(files || (photos ? '' : '<li class="dg-no-entries">NO ATTACHMENTS</li>'));
+    
+    $('.dg-attachment-add').toggle(canEdit);
+    if (canEdit) {
+      const $journal = $('#dg-attachment-journal');
+      const selected = $journal.val();
+      $journal.html(RecordAttachments.renderJournalOptionsHTML());
+      if (selected) $journal.val(selected);
     }
     
-    // Add each record to list
-    records.forEach(record => {
-      const reference = record.getFlag(DeltaGreenUI.ID, 'surname') || 'UNKNOWN';
-      const firstName = record.getFlag(DeltaGreenUI.ID, 'firstName') || '';
-      const lastName = record.getFlag(DeltaGreenUI.ID, 'middleName') || '';
-      
-      const li = $(`<li class="dg-result-item" data-record-id="${record.id}">
-        ${reference} - ${firstName} ${lastName}
-      </li>`);
-      allRecordsList.append(li);
-      
-      // Add event handler for right click (direct deletion)
-      li.on('contextmenu', function(e) {
-        e.preventDefault(); // Prevent default context menu
-        const recordId = $(this).data('record-id');
-        RecordsManager.deleteRecord(recordId);
-      });
-    });
+    // Fermer la visionneuse si la pièce affichée a été supprimée ou reclassifiée
+    const openId = $('#dg-attachment-viewer').attr('data-attachment-id');
+    if (openId) {
+      const attachment = RecordAttachments.getAttachment(actor, openId);
+      if (!attachment || !RecordAttachments.canViewAttachment(attachment)) this.closeAttachment();
+    }
   }
   
   /**
-   * Search records
-   * @param {string} searchTerm - Search term
+   * Pick a file with the Foundry file picker and attach it to the open record
+   * @param {string} kind - Attachment kind (image or document)
    */
-  static searchRecords(searchTerm) {
-    // Find PC Records folder
-    const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-    
-    if (!folder) return;
+  static pickAttachment(kind) {
+    const actor = game.actors.get(this.currentRecordId);
+    if (!actor?.isOwner) return;
     
-    // If term is empty, display all records
-    if (!searchTerm) {
-      this.loadRecords();
-      return;
-    }
+    new FilePicker({
+      type: kind === 'image' ? 'image' : 'any',
+      callback: path => RecordAttachments.addAttachment(actor, kind, path),
+      title: kind === 'image' ? 'Select an image' : 'Select a document'
+    }).render(true);
+  }
+  
+  /**
+   * Attach the journal entry or page selected in the form to the open record
+   */
+  static async addJournalAttachment() {
+    const uuid = $('#dg-attachment-journal').val();
+    if (!uuid) return;
     
-    // Search in folder actors
-    const records = game.actors.filter(a => {
-      if (a.folder?.id !== folder.id) return false;
-      
-      // Search in name and flags
-      const name = a.name.toLowerCase();
-      const surname = a.getFlag(DeltaGreenUI.ID, 'surname')?.toLowerCase() || '';
-      const firstName = a.getFlag(DeltaGreenUI.ID, 'firstName')?.toLowerCase() || '';
-      const searchLower = searchTerm.toLowerCase();
-      
-      return name.includes(searchLower) || 
-             surname.includes(searchLower) || 
-             firstName.includes(searchLower);
-    });
+    await RecordAttachments.addAttachment(game.actors.get(this.currentRecordId), 'journal', uuid);
+  }
+  
+  /**
+   * Update the caption or classification of an attachment of the open record
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} changes - New caption and/or level
+   */
+  static async updateAttachment(attachmentId, changes) {
+    await RecordAttachments.updateAttachment(game.actors.get(this.currentRecordId), attachmentId, changes);
+  }
+  
+  /**
+   * Remove an attachment from the open record
+   * @param {string} attachmentId - Attachment ID
+   */
+  static async removeAttachment(attachmentId) {
+    if (!(await this._confirm('Remove Attachment', '<p>Remove this attachment from the record?</p>'))) return;
     
-    // Display results
-    this.displayAllRecords(records);
+    await RecordAttachments.removeAttachment(game.actors.get(this.currentRecordId), attachmentId);
   }
   
   /**
-   * Display add/edit record form
-   * @param {string} recordId - ID of record to edit (null for new)
+   * Show an attachment of the open record in the viewer of the form
+   * @param {string} attachmentId - Attachment ID
    */
-  static showRecordForm(recordId = null) {
-    this.currentRecordId = recordId;
+  static async openAttachment(attachmentId) {
+    const attachment = RecordAttachments.getAttachment(game.actors.get(this.currentRecordId), attachmentId);
+    if (!attachment) return;
     
-    // Generate random case number for new records
-    if (!recordId) {
-      const caseNumber = Math.floor(Math.random() * 900000) + 100000;
-      $('#dg-case-number').text(caseNumber);
-    }
+    const $viewer = $('#dg-attachment-viewer');
+    $viewer.attr('data-attachment-id', attachmentId).html(await RecordAttachments.renderViewerHTML(attachment)).show();
+    $viewer[0].scrollIntoView({ block: 'nearest' });
+  }
+  
+  /**
+   * Close the attachment viewer
+   */
+  static closeAttachment() {
+    $('#dg-attachment-viewer').hide().removeAttr('data-attachment-id').empty();
+  }
+  
+  /**
+   * Show or hide the history panel
+   */
+  static toggleHistory() {
+    const $panel = $('#dg-history-panel');
+    $panel.toggle();
     
-    // If editing existing record, load its data
-    if (recordId) {
-      this.showCaseStudyForm(game.actors.get(recordId));
-    } else {
-      // Reset form for new record
-      $('#dg-surname, #dg-firstname, #dg-middlename, #dg-address, #dg-zipcode, #dg-phone, #dg-dob, #dg-race, #dg-height, #dg-weight, #dg-haircolor, #dg-eyecolor, #dg-relationship, #dg-notes').val('');
-      $('#dg-sex').val('M');
-      
-      // Reset image with default image
-      $('#dg-profile-avatar').attr('src', 'icons/svg/mystery-man.svg');
-      
-      // Show form
-      $('#dg-case-study-form').show();
-      
-      // Set up avatar button for new records
-      this._setupAvatarButton();
+    if ($panel.is(':visible')) {
+      $panel[0].scrollIntoView({ block: 'start' });
     }
   }
   
   /**
-   * Display case study form for specific actor
-   * @param {Actor} actor - Actor to display
+   * Show the diff of a revision of the open record
+   * @param {string} revisionId - Revision ID
    */
-  static showCaseStudyForm(actor) {
+  static showRevision(revisionId) {
+    const actor = game.actors.get(this.currentRecordId);
     if (!actor) return;
     
-    this.currentRecordId = actor.id;
-    
-    // Fill form
-    $('#dg-case-number').text(actor.getFlag(DeltaGreenUI.ID, 'caseNumber') || '');
-    $('#dg-surname').val(actor.getFlag(DeltaGreenUI.ID, 'surname') || '');
-    $('#dg-firstname').val(actor.getFlag(DeltaGreenUI.ID, 'firstName') || '');
-    $('#dg-middlename').val(actor.getFlag(DeltaGreenUI.ID, 'middleName') || '');
-    $('#dg-address').val(actor.getFlag(DeltaGreenUI.ID, 'address') || '');
-    $('#dg-zipcode').val(actor.getFlag(DeltaGreenUI.ID, 'zipCode') || '');
-    $('#dg-phone').val(actor.getFlag(DeltaGreenUI.ID, 'phone') || '');
-    $('#dg-dob').val(actor.getFlag(DeltaGreenUI.ID, 'dateOfBirth') || '');
-    $('#dg-sex').val(actor.getFlag(DeltaGreenUI.ID, 'sex') || 'M');
-    $('#dg-race').val(actor.getFlag(DeltaGreenUI.ID, 'race') || '');
-    $('#dg-height').val(actor.getFlag(DeltaGreenUI.ID, 'height') || '');
-    $('#dg-weight').val(actor.getFlag(DeltaGreenUI.ID, 'weight') || '');
-    $('#dg-haircolor').val(actor.getFlag(DeltaGreenUI.ID, 'hairColor') || '');
-    $('#dg-eyecolor').val(actor.getFlag(DeltaGreenUI.ID, 'eyeColor') || '');
-    $('#dg-relationship').val(actor.getFlag(DeltaGreenUI.ID, 'relationshipStatus') || '');
-    $('#dg-notes').val(actor.getFlag(DeltaGreenUI.ID, 'notes') || '');
-    
-    // Display actor image
-    const imgSrc = actor.img || 'icons/svg/mystery-man.svg';
-    $('#dg-profile-avatar').attr('src', imgSrc);
-    
-    // Show form
-    $('#dg-case-study-form').show();
-    
-    // Scroll to top of form
-    $('#dg-case-study-form').scrollTop(0);
+    $('#dg-history-list .dg-history-item').removeClass('dg-selected')
+      .filter(`[data-revision-id="${revisionId}"]`).addClass('dg-selected');
+    $('#dg-history-diff')
+      .attr('data-revision-id', revisionId)
+      .html(RecordHistory.renderDiffHTML(actor, revisionId));
+  }
+  
+  /**
+   * Restore the open record to a revision (GM only)
+   * @param {string} revisionId - Revision ID
+   */
+  static async restoreRevision(revisionId) {
+    const actor = game.actors.get(this.currentRecordId);
+    if (!actor || !game.user.isGM) return;
     
-    // Event handlers are now managed in UIComponents
-    // to ensure proper event delegation
+    const restored = await RecordHistory.restoreRevision(actor, revisionId);
     
-    // Add event handler for avatar change button
-    this._setupAvatarButton();
+    // Recharger le formulaire avec les valeurs restaurées
+    if (restored) this.showCaseStudyForm(actor);
   }
   
-  // Variable pour stocker temporairement l'avatar d'un nouveau record
+  // Image choisie dans le formulaire, appliquée lors de la sauvegarde
   static tempAvatarPath = null;
   
+  // Modifications non enregistrées dans le formulaire
+  static formDirty = false;
+  
+  // Sauvegarde en cours
+  static isSaving = false;
+  
+  // Date de la dernière sauvegarde du record au chargement du formulaire
+  static loadedUpdatedAt = 0;
+  
   /**
    * Set up avatar change button
    * @private
@@ -258,39 +1258,28 @@ export class RecordsManager {
       // Déterminer l'image actuelle à afficher dans le sélecteur
       let currentImage = "icons/svg/mystery-man.svg";
       
-      // Si on édite un record existant
-      if (this.currentRecordId) {
+      // Image déjà choisie dans le formulaire, sinon image du record édité
+      if (this.tempAvatarPath) {
+        currentImage = this.tempAvatarPath;
+      } else if (this.currentRecordId) {
         const actor = game.actors.get(this.currentRecordId);
         if (actor) {
           currentImage = actor.img || "icons/svg/mystery-man.svg";
         }
-      } 
-      // Si on a déjà sélectionné une image temporaire pour un nouveau record
-      else if (this.tempAvatarPath) {
-        currentImage = this.tempAvatarPath;
       }
       
       // Open Foundry file picker
       const fp = new FilePicker({
         type: "image",
         current: currentImage,
-        callback: async (path) => {
+        callback: (path) => {
           // Update image in interface
           $('#dg-profile-avatar').attr('src', path);
           
-          // Si on édite un record existant, mettre à jour l'image de l'acteur
-          if (this.currentRecordId) {
-            const actor = game.actors.get(this.currentRecordId);
-            if (actor) {
-              await actor.update({ img: path });
-              ui.notifications.info("Image updated successfully");
-            }
-          } 
-          // Sinon, stocker temporairement le chemin de l'image pour l'appliquer lors de la sauvegarde
-          else {
-            this.tempAvatarPath = path;
-            ui.notifications.info("Image selected. It will be applied when the record is saved.");
-          }
+          // Stocker le chemin de l'image pour l'écrire avec le reste du record
+          this.tempAvatarPath = path;
+          this.markDirty();
+          ui.notifications.info("Image selected. It will be applied when the record is saved.");
         },
         title: "Select an image"
       });
@@ -305,133 +1294,317 @@ export class RecordsManager {
    */
   static hideRecordForm() {
     $('#dg-case-study-form').hide();
+    $('#dg-history-panel').hide();
+    $('#dg-history-diff').removeAttr('data-revision-id').empty();
+    this.closeAttachment();
     this.currentRecordId = null;
+    this._resetFormState();
+    RecordPresence.leave();
+  }
+  
+  /**
+   * Reset the unsaved changes, selected image and errors of the form
+   * @private
+   */
+  static _resetFormState() {
+    this.formDirty = false;
+    this.tempAvatarPath = null;
+    this._showFormErrors({});
+  }
+  
+  /**
+   * Flag the form as modified
+   */
+  static markDirty() {
+    this.formDirty = true;
+  }
+  
+  /**
+   * Check if the form has unsaved changes
+   * @returns {boolean} true if the open form was modified since it was shown
+   */
+  static hasUnsavedChanges() {
+    return this.formDirty && $('#dg-case-study-form').is(':visible');
+  }
+  
+  /**
+   * Ask before discarding unsaved changes
+   * @returns {Promise<boolean>} true if there is nothing to lose or the user confirmed
+   */
+  static async confirmDiscardChanges() {
+    if (!this.hasUnsavedChanges()) return true;
+    
+    return this._confirm(
+      "Unsaved Changes",
+      "This record has unsaved changes. Leave the form and discard them?"
+    );
+  }
+  
+  /**
+   * Close the form, asking first if it has unsaved changes
+   */
+  static async closeRecordForm() {
+    if (this.isSaving) return;
+    if (!(await this.confirmDiscardChanges())) return;
+    
+    this.hideRecordForm();
+  }
+  
+  /**
+   * Read the values of the form
+   * Les champs masqués au lecteur gardent leur valeur enregistrée
+   * @private
+   * @param {Object} database - Database definition
+   * @param {Actor|null} existing - Edited record (null for a new record)
+   * @returns {Object} Field values (key -> raw value)
+   */
+  static _readFormValues(database, existing) {
+    const values = {};
+    for (const field of database.fields) {
+      values[field.key] = this.redactedFields.has(field.key)
+        ? existing?.getFlag(DeltaGreenUI.ID, field.key)
+        : $(`#${this._fieldId(field.key)}`).val();
+    }
+    return values;
+  }
+  
+  /**
+   * Show validation errors next to the fields
+   * @private
+   * @param {Object} errors - Error messages by field key (empty to clear)
+   */
+  static _showFormErrors(errors) {
+    $('#dg-case-study-form .dg-field-error').remove();
+    $('#dg-case-study-form .dg-field-body').removeClass('dg-field-invalid');
+    
+    const messages = Object.values(errors);
+    $('#dg-form-errors')
+      .html(messages.map(message => `<div>ERROR: ${SafeHTML.escape(message.toUpperCase())}</div>`).join(''))
+      .toggle(messages.length > 0);
+    
+    for (const [key, message] of Object.entries(errors)) {
+      $(`.dg-field-body[data-field="${key}"]`)
+        .addClass('dg-field-invalid')
+        .after(`<div class="dg-field-error">${SafeHTML.escape(message.toUpperCase())}</div>`);
+    }
+  }
+  
+  /**
+   * Show or hide the saving indicator
+   * @private
+   * @param {boolean} saving - true while the record is being written
+   */
+  static _setSaving(saving) {
+    this.isSaving = saving;
+    $('#dg-case-study-form').toggleClass('dg-saving', saving);
+    $('#dg-save-record').prop('disabled', saving).text(saving ? 'SAVING...' : 'SAVE');
+    $('#dg-cancel-record').prop('disabled', saving);
   }
   
   /**
    * Save record
+   * Nom, image et flags sont écrits en une seule mise à jour du document
    */
   static async saveRecord() {
-    // Get form values
-    const caseNumber = $('#dg-case-number').text();
-    const surname = $('#dg-surname').val();
-    const firstName = $('#dg-firstname').val();
-    
-    // Check required fields
-    if (!surname || !firstName) {
-      ui.notifications.error("Surname and first name are required");
+    // Ignorer les doubles clics pendant l'écriture
+    if (this.isSaving) return;
+    
+    const database = RecordSchemas.getDatabase(this.formDatabase);
+    
+    const existing = this.currentRecordId ? game.actors.get(this.currentRecordId) : null;
+    if (existing && !existing.isOwner) {
+      ui.notifications.warn("ACCESS DENIED - this record is read-only for you");
       return;
     }
     
-    // Find PC Records folder
-    const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
+    // Le numéro d'un record existant ne vient pas du formulaire : le MJ a pu le modifier entre-temps
+    const caseNumber = existing
+      ? existing.getFlag(DeltaGreenUI.ID, 'caseNumber') || ''
+      : CaseNumbers.reserve($('#dg-case-number').text(), database.id);
+    
+    // Get and check form values
+    const values = this._readFormValues(database, existing);
+    const errors = RecordSchemas.validateValues(database, values, [...this.redactedFields]);
+    this._showFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+    
+    // Statut et étiquettes, seulement si l'utilisateur a le droit de les changer
+    const workflow = RecordStatus.canChange(existing)
+      ? { status: $('#dg-record-status').val(), tags: RecordStatus.parseTags($('#dg-record-tags').val()) }
+      : {};
+    
+    // Find the database folder
+    const folder = RecordsRepository.getFolder(database.id);
     
     if (!folder) {
-      ui.notifications.error("PC Records folder not found");
+      this._showFormErrors({ folder: `${database.label} folder not found` });
       return;
     }
     
-    // Prepare data
-    const recordData = {
-      caseNumber,
-      surname,
-      firstName,
-      middleName: $('#dg-middlename').val(),
-      address: $('#dg-address').val(),
-      zipCode: $('#dg-zipcode').val(),
-      phone: $('#dg-phone').val(),
-      dateOfBirth: $('#dg-dob').val(),
-      sex: $('#dg-sex').val(),
-      race: $('#dg-race').val(),
-      height: $('#dg-height').val(),
-      weight: $('#dg-weight').val(),
-      hairColor: $('#dg-haircolor').val(),
-      eyeColor: $('#dg-eyecolor').val(),
-      relationshipStatus: $('#dg-relationship').val(),
-      notes: $('#dg-notes').val()
-    };
+    // Un autre agent a enregistré le record depuis son ouverture
+    if (existing && !(await this._resolveSaveConflict(existing))) return;
+    
+    this._setSaving(true);
     
     try {
       // Edit existing record
-      if (this.currentRecordId) {
-        const record = game.actors.get(this.currentRecordId);
+      if (existing) {
+        // Prepare data (sans réécrire les champs masqués au lecteur)
+        const editedValues = {
+          ...Object.fromEntries(Object.entries(values).filter(([key]) => !this.redactedFields.has(key))),
+          ...workflow
+        };
+        const recordData = {
+          ...editedValues,
+          // Horodatage de la dernière modification
+          updatedAt: Date.now(),
+          updatedBy: game.user.id
+        };
         
-        if (record) {
-          // Update flags
-          await record.update({
-            name: `Case ${caseNumber}: ${surname}, ${firstName}`
-          });
-          
-          // Update flags
-          for (const [key, value] of Object.entries(recordData)) {
-            await record.setFlag(DeltaGreenUI.ID, key, value);
-          }
+        // Révision : champs modifiés avec ancienne et nouvelle valeur
+        const revision = RecordHistory.buildRevision(existing, editedValues);
+        if (revision) {
+          recordData.history = RecordHistory.appendRevision(existing, revision);
         }
-      } 
-      // Create new record
-      else {
-        // Préparer les données de l'acteur
-        const actorData = {
-          name: `Case ${caseNumber}: ${surname}, ${firstName}`,
-          type: "npc",
-          folder: folder.id,
-          // Définir les permissions pour que tous les joueurs puissent éditer
-          permission: { default: 3 } // 3 = OWNER (droits complets)
+        
+        const updateData = {
+          name: this.buildRecordName(database, caseNumber, values),
+          [`flags.${DeltaGreenUI.ID}`]: recordData
         };
         
-        // Si un avatar temporaire a été sélectionné, l'utiliser
+        // Image choisie dans le formulaire
         if (this.tempAvatarPath) {
-          actorData.img = this.tempAvatarPath;
+          updateData.img = this.tempAvatarPath;
         }
         
-        // Create actor
-        const record = await Actor.create(actorData);
-        
-        // Réinitialiser l'avatar temporaire
-        this.tempAvatarPath = null;
-        
-        // Add flags
-        for (const [key, value] of Object.entries(recordData)) {
-          await record.setFlag(DeltaGreenUI.ID, key, value);
-        }
+        await existing.update(updateData);
+      } 
+      // Create new record
+      else {
+        await Actor.create(this.prepareNewRecord(database, folder, caseNumber, { ...values, ...workflow }, this.tempAvatarPath));
       }
       
       // Success notification
       ui.notifications.info("Record saved successfully");
       
       // Hide form and reload records
+      this._setSaving(false);
       this.hideRecordForm();
       this.loadRecords();
       
     } catch (error) {
       console.error("Error saving record:", error);
-      ui.notifications.error("Error saving record");
+      this._setSaving(false);
+      this._showFormErrors({ save: 'Error saving record' });
+    }
+  }
+  
+  /**
+   * Build the actor name of a record
+   * @param {Object} database - Database definition
+   * @param {string} caseNumber - Case number
+   * @param {Object} values - Field values
+   * @returns {string} "Case <number>: <name fields>"
+   */
+  static buildRecordName(database, caseNumber, values) {
+    return `Case ${caseNumber}: ${database.nameFields.map(key => values[key]).filter(v => v).join(', ')}`;
+  }
+  
+  /**
+   * Prepare the actor data of a new record
+   * Flags, permissions et première révision sont posés dès la création
+   * @param {Object} database - Database definition
+   * @param {Folder} folder - Database folder
+   * @param {string} caseNumber - Case number
+   * @param {Object} values - Validated field values
+   * @param {string|null} img - Image path (default image if omitted)
+   * @returns {Object} Actor data for Actor.create
+   */
+  static prepareNewRecord(database, folder, caseNumber, values, img = null) {
+    const now = Date.now();
+    const recordData = {
+      caseNumber,
+      ...values,
+      // Date et auteur de la création, posés une seule fois
+      createdAt: now,
+      createdBy: game.user.id,
+      updatedAt: now,
+      updatedBy: game.user.id
+    };
+    
+    const revision = RecordHistory.buildRevision(null, values);
+    if (revision) {
+      recordData.history = RecordHistory.appendRevision(null, revision);
+    }
+    
+    const actorData = {
+      name: this.buildRecordName(database, caseNumber, values),
+      type: "npc",
+      folder: folder.id,
+      flags: { [DeltaGreenUI.ID]: recordData }
+    };
+    
+    // Permissions selon la politique du monde (laissées à Foundry si gérées par le MJ)
+    const ownership = this.getPolicyOwnership(game.user.id);
+    if (ownership) {
+      actorData.ownership = ownership;
+    }
+    
+    if (img) {
+      actorData.img = img;
     }
+    
+    return actorData;
+  }
+  
+  /**
+   * Get creation and modification info for a record
+   * Les flags posés par saveRecord sont prioritaires ; _stats (v10+) sert de repli
+   * pour les acteurs créés hors de l'interface
+   * @param {Actor} record - Record to inspect
+   * @returns {{createdAt: number, updatedAt: number, updatedBy: string|null}} Timestamps and user ID
+   */
+  static getRecordTimestamps(record) {
+    const stats = record._stats || {};
+    const createdAt = record.getFlag(DeltaGreenUI.ID, 'createdAt') || stats.createdTime || 0;
+    const updatedAt = record.getFlag(DeltaGreenUI.ID, 'updatedAt') || stats.modifiedTime || createdAt;
+    const updatedBy = record.getFlag(DeltaGreenUI.ID, 'updatedBy') || stats.lastModifiedBy || null;
+    
+    return { createdAt, updatedAt, updatedBy };
   }
   
   /**
    * Open record
    * @param {string} recordId - ID of record to open
    */
-  static openRecord(recordId) {
+  static async openRecord(recordId) {
     if (!recordId) return;
     
     // Show form in edit mode
-    this.showRecordForm(recordId);
+    await this.navigateToRecord(recordId);
   }
   
   /**
-   * Delete record
-   * @param {string} recordId - ID of record to delete
+   * Open the form of a new record, asking first if the open form has unsaved changes
    */
-  static async deleteRecord(recordId) {
-    if (!recordId) return;
+  static async addRecord() {
+    if (!(await this.confirmDiscardChanges())) return;
     
-    // Deletion confirmation with custom options to ensure dialog is visible
-    const confirmed = await new Promise((resolve) => {
+    this.showRecordForm();
+  }
+  
+  /**
+   * Ask for confirmation in a dialog visible above the CRT interface
+   * @private
+   * @param {string} title - Dialog title
+   * @param {string} content - Dialog content
+   * @returns {Promise<boolean>} true if confirmed
+   */
+  static _confirm(title, content) {
+    return new Promise((resolve) => {
       const d = new Dialog({
-        title: "Delete Confirmation",
-        content: "Are you sure you want to delete this record? This action cannot be undone.",
+        title,
+        content,
         buttons: {
           yes: {
             icon: '<i class="fas fa-check"></i>',
@@ -445,6 +1618,7 @@ export class RecordsManager {
           }
         },
         default: "no",
+        close: () => resolve(false),
         // Make dialog more visible
         render: (html) => {
           // Increase z-index to ensure it's above CRT interface
@@ -459,16 +1633,95 @@ export class RecordsManager {
       });
       d.render(true);
     });
+  }
+  
+  /**
+   * Check if the current user may archive a record
+   * Il faut posséder le record et avoir au moins le rôle choisi par le MJ
+   * @param {Actor} record - Record
+   * @returns {boolean} true if the user may archive it
+   */
+  static canArchive(record) {
+    if (!record || RecordsRepository.isArchived(record)) return false;
+    if (game.user.isGM) return true;
+    
+    const role = game.settings.get(DeltaGreenUI.ID, 'recordArchiveRole');
+    return record.isOwner && game.user.hasRole(role);
+  }
+  
+  /**
+   * Archive record (soft delete)
+   * Le record reste dans son dossier mais disparaît des listes ; seul le MJ peut le restaurer ou le purger
+   * @param {string} recordId - ID of record to archive
+   */
+  static async archiveRecord(recordId) {
+    const record = recordId ? game.actors.get(recordId) : null;
+    if (!record) return;
+    
+    if (!this.canArchive(record)) {
+      ui.notifications.warn("ACCESS DENIED - you cannot archive this record");
+      return;
+    }
+    
+    const confirmed = await this._confirm(
+      "Archive Confirmation",
+      "Archive this record? It will be removed from the database until the Handler restores it."
+    );
+    if (!confirmed) return;
+    
+    await record.update({
+      [`flags.${DeltaGreenUI.ID}.archived`]: Date.now(),
+      [`flags.${DeltaGreenUI.ID}.archivedBy`]: game.user.id
+    });
+    
+    ui.notifications.info("Record archived");
+    this.hideRecordForm();
+    this.loadRecords();
+  }
+  
+  /**
+   * Restore an archived record (GM only)
+   * @param {string} recordId - ID of record to restore
+   */
+  static async restoreRecord(recordId) {
+    const record = recordId ? game.actors.get(recordId) : null;
+    if (!record || !game.user.isGM) return;
+    
+    await record.update({
+      [`flags.${DeltaGreenUI.ID}.-=archived`]: null,
+      [`flags.${DeltaGreenUI.ID}.-=archivedBy`]: null
+    });
+    
+    ui.notifications.info("Record restored");
+    this.loadRecords();
+  }
+  
+  /**
+   * Permanently delete an archived record (GM only)
+   * @param {string} recordId - ID of record to purge
+   */
+  static async purgeRecord(recordId) {
+    const record = recordId ? game.actors.get(recordId) : null;
+    if (!record || !game.user.isGM) return;
     
+    const confirmed = await this._confirm(
+      "Purge Confirmation",
+      "Are you sure you want to purge this record? This action cannot be undone."
+    );
     if (!confirmed) return;
     
-    // Delete actor
-    const record = game.actors.get(recordId);
+    await record.delete();
+    ui.notifications.info("Record purged");
+    this.loadRecords();
+  }
+  
+  /**
+   * Switch the records list between the database and the archive (GM only)
+   */
+  static toggleArchiveView() {
+    if (!game.user.isGM) return;
     
-    if (record) {
-      await record.delete();
-      ui.notifications.info("Record deleted successfully");
-      this.loadRecords();
-    }
+    this.showArchive = !this.showArchive;
+    this.searchRecords($('#dg-search-input').val());
   }
 }
@@ -0,0 +1,153 @@
+/**
+ * Records query language for Delta Green Player UI
+ * Syntaxe de terminal : mots, "expressions exactes", champ:valeur, -exclusion, AND / OR.
+ * AND est implicite entre deux termes et prioritaire sur OR :
+ * eye:blue address:"Elm St" OR -sex:M  =>  (eye ET address) OU (PAS sex)
+ */
+
+import { SafeHTML } from './safe-html.js';
+
+export class RecordsQuery {
+  // Un terme : "-" optionnel, "champ:" optionnel, puis une expression entre guillemets ou un mot
+  static TERM_PATTERN = /(-?)(?:([a-zA-Z]\w*):)?(?:"([^"]*)"?|(\S+))/g;
+  
+  /**
+   * Parse a query
+   * @param {string} query - Query typed by the user
+   * @returns {Array<Array<{field: string|null, value: string, negated: boolean}>>} OR groups of AND terms
+   */
+  static parse(query) {
+    const groups = [[]];
+    
+    for (const match of String(query || '').matchAll(this.TERM_PATTERN)) {
+      const [, minus, field, phrase, word] = match;
+      
+      // Opérateurs : seulement en majuscules et hors guillemets, pour pouvoir chercher "or"
+      if (!minus && !field && phrase === undefined) {
+        if (word === 'OR') {
+          groups.push([]);
+          continue;
+        }
+        if (word === 'AND') continue;
+      }
+      
+      const value = (phrase ?? word).trim().toLowerCase();
+      if (!value) continue;
+      
+      groups[groups.length - 1].push({
+        field: field ? field.toLowerCase() : null,
+        value,
+        negated: minus === '-'
+      });
+    }
+    
+    return groups.filter(group => group.length > 0);
+  }
+  
+  /**
+   * Get the entries a term applies to
+   * Un champ est désigné par le début de sa clé ou de son libellé : "eye" => eyeColor / "Eye Color"
+   * @private
+   * @param {Object} term - Parsed term
+   * @param {Array<{key: string, label: string, text: string}>} entries - Searchable entries of a record
+   * @returns {Array} Entries matching the term's field (all entries if the term has none)
+   */
+  static _getTermEntries(term, entries) {
+    if (!term.field) return entries;
+    
+    return entries.filter(entry =>
+      entry.key.toLowerCase().startsWith(term.field)
+      || entry.label.toLowerCase().replace(/\s+/g, '').startsWith(term.field)
+    );
+  }
+  
+  /**
+   * Find the entry matching a term
+   * @param {Object} term - Parsed term
+   * @param {Array<{key: string, label: string, text: string}>} entries - Searchable entries of a record
+   * @returns {Object|null} First entry containing the term's value
+   */
+  static findEntry(term, entries) {
+    return this._getTermEntries(term, entries)
+      .find(entry => entry.text.toLowerCase().includes(term.value)) || null;
+  }
+  
+  /**
+   * Check if a record matches a parsed query
+   * @param {Array} groups - Parsed query (see parse)
+   * @param {Array<{key: string, label: string, text: string}>} entries - Searchable entries of the record
+   * @returns {boolean} true if one of the OR groups matches entirely
+   */
+  static matches(groups, entries) {
+    if (groups.length === 0) return true;
+    
+    return groups.some(group => group.every(term => !!this.findEntry(term, entries) !== term.negated));
+  }
+  
+  /**
+   * Get the terms to highlight
+   * @param {Array} groups - Parsed query
+   * @returns {Array} Positive terms, without duplicates
+   */
+  static getPositiveTerms(groups) {
+    const seen = new Set();
+    
+    return groups.flat().filter(term => {
+      const id = `${term.field}:${term.value}`;
+      if (term.negated || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+  
+  /**
+   * Escape a text and highlight the given values
+   * @param {string} text - Raw text
+   * @param {string[]} values - Lower case values to highlight
+   * @returns {string} HTML
+   */
+  static highlight(text, values) {
+    text = String(text ?? '');
+    const lower = text.toLowerCase();
+    
+    // Repérer les plages à surligner, puis les fusionner quand elles se chevauchent
+    const ranges = [];
+    for (const value of values.filter(v => v)) {
+      let index = lower.indexOf(value);
+      while (index !== -1) {
+        ranges.push([index, index + value.length]);
+        index = lower.indexOf(value, index + value.length);
+      }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    
+    let html = '';
+    let position = 0;
+    for (const [start, end] of ranges) {
+      if (end <= position) continue;
+      const from = Math.max(start, position);
+      html += SafeHTML.escape(text.slice(position, from));
+      html += `<span class="dg-highlight">${SafeHTML.escape(text.slice(from, end))}</span>`;
+      position = end;
+    }
+    
+    return html + SafeHTML.escape(text.slice(position));
+  }
+  
+  /**
+   * Cut an excerpt of a text around a value
+   * @param {string} text - Raw text
+   * @param {string} value - Lower case value
+   * @param {number} radius - Characters kept on each side
+   * @returns {string} Excerpt (raw text)
+   */
+  static excerpt(text, value, radius = 30) {
+    const flat = String(text ?? '').replace(/\s+/g, ' ');
+    const index = flat.toLowerCase().indexOf(value);
+    if (index === -1) return flat.slice(0, radius * 2);
+    
+    const start = Math.max(0, index - radius);
+    const end = Math.min(flat.length, index + value.length + radius);
+    return `${start > 0 ? '...' : ''}${flat.slice(start, end)}${end < flat.length ? '...' : ''}`;
+  }
+}
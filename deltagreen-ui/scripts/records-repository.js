@@ -0,0 +1,212 @@
+/**
+ * Records Repository for Delta Green Player UI
+ * Point d'accès unique aux dossiers des bases de records et aux acteurs qu'ils contiennent
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordSchemas } from './record-schemas.js';
+
+export class RecordsRepository {
+  /**
+   * Get the stored folder ID of a database
+   * La base par défaut garde le paramètre historique 'recordsFolder'
+   * @private
+   * @param {string} databaseId - Database ID
+   * @returns {string} Folder ID ('' if not configured)
+   */
+  static _getFolderId(databaseId) {
+    if (databaseId === RecordSchemas.DEFAULT_DATABASE) {
+      return game.settings.get(DeltaGreenUI.ID, 'recordsFolder');
+    }
+    
+    return game.settings.get(DeltaGreenUI.ID, 'databaseFolders')[databaseId] || '';
+  }
+  
+  /**
+   * Store the folder ID of a database
+   * @param {string} databaseId - Database ID
+   * @param {string} folderId - Folder ID ('' to reset)
+   */
+  static async setFolderId(databaseId, folderId) {
+    if (databaseId === RecordSchemas.DEFAULT_DATABASE) {
+      await game.settings.set(DeltaGreenUI.ID, 'recordsFolder', folderId);
+      return;
+    }
+    
+    const folders = foundry.utils.deepClone(game.settings.get(DeltaGreenUI.ID, 'databaseFolders'));
+    folders[databaseId] = folderId;
+    await game.settings.set(DeltaGreenUI.ID, 'databaseFolders', folders);
+  }
+  
+  /**
+   * Get the folder of a database
+   * Le dossier est stocké par ID ; le nom ne sert qu'aux mondes non encore configurés
+   * @param {string} databaseId - Database ID (default database if omitted)
+   * @returns {Folder|null} Database folder or null if not found
+   */
+  static getFolder(databaseId = RecordSchemas.DEFAULT_DATABASE) {
+    const folderId = this._getFolderId(databaseId);
+    
+    if (folderId) {
+      const folder = game.folders.get(folderId);
+      return folder?.type === "Actor" ? folder : null;
+    }
+    
+    const folderName = RecordSchemas.getDatabase(databaseId).folderName;
+    return game.folders.find(f => f.name === folderName && f.type === "Actor") || null;
+  }
+  
+  /**
+   * Make sure the folder of a database exists and is stored by ID
+   * Seul le MJ peut créer le dossier et enregistrer le paramètre de monde
+   * @param {string} databaseId - Database ID (default database if omitted)
+   * @returns {Promise<Folder|null>} Database folder
+   */
+  static async ensureFolder(databaseId = RecordSchemas.DEFAULT_DATABASE) {
+    let folder = this.getFolder(databaseId);
+    
+    if (!game.user.isGM) return folder;
+    
+    // If folder doesn't exist, create it
+    if (!folder) {
+      const folderName = RecordSchemas.getDatabase(databaseId).folderName;
+      folder = await Folder.create({
+        name: folderName,
+        type: "Actor",
+        parent: null,
+        color: "#33ff33"
+      });
+      console.log(`Delta Green UI | "${folderName}" folder created`);
+    }
+    
+    // Mémoriser l'ID pour ne plus dépendre du nom du dossier
+    if (this._getFolderId(databaseId) !== folder.id) {
+      await this.setFolderId(databaseId, folder.id);
+    }
+    
+    return folder;
+  }
+  
+  /**
+   * Make sure the folders of all databases exist
+   */
+  static async ensureFolders() {
+    for (const database of RecordSchemas.getDatabases()) {
+      await this.ensureFolder(database.id);
+    }
+  }
+  
+  /**
+   * Map every records folder to its database
+   * @private
+   * @returns {Map<string, string>} Folder ID -> database ID
+   */
+  static _getFolderMap() {
+    const map = new Map();
+    const roots = RecordSchemas.getDatabases()
+      .map(db => ({ databaseId: db.id, folder: this.getFolder(db.id) }))
+      .filter(root => root.folder);
+    
+    // Les dossiers directs l'emportent sur l'inclusion par sous-dossier
+    for (const root of roots) {
+      if (!map.has(root.folder.id)) map.set(root.folder.id, root.databaseId);
+    }
+    
+    if (game.settings.get(DeltaGreenUI.ID, 'recordsIncludeSubfolders')) {
+      // Les dossiers les plus profonds d'abord, pour qu'une base imbriquée garde ses sous-dossiers
+      const byDepth = [...roots].sort((a, b) => (b.folder.depth || 0) - (a.folder.depth || 0));
+      for (const root of byDepth) {
+        for (const subfolder of root.folder.getSubfolders(true)) {
+          if (!map.has(subfolder.id)) map.set(subfolder.id, root.databaseId);
+        }
+      }
+    }
+    
+    return map;
+  }
+  
+  /**
+   * Get the IDs of the folders holding records
+   * @param {string|null} databaseId - Database ID, or null for all databases
+   * @returns {Set<string>} Database folder IDs, plus their subfolders if enabled
+   */
+  static getFolderIds(databaseId = null) {
+    const ids = new Set();
+    
+    for (const [folderId, folderDatabase] of this._getFolderMap()) {
+      if (!databaseId || folderDatabase === databaseId) ids.add(folderId);
+    }
+    
+    return ids;
+  }
+  
+  /**
+   * Check if a folder holds records
+   * @param {Folder} folder - Folder to check
+   * @returns {boolean} true if the folder is a database folder or an included subfolder
+   */
+  static isRecordsFolder(folder) {
+    if (!folder) return false;
+    return this._getFolderMap().has(folder.id);
+  }
+  
+  /**
+   * Check if an actor is a record
+   * @param {Actor} actor - Actor to check
+   * @returns {boolean} true if the actor is in a database folder
+   */
+  static isRecord(actor) {
+    return this.isRecordsFolder(actor?.folder);
+  }
+  
+  /**
+   * Get the database a record belongs to
+   * @param {Actor} actor - Record
+   * @returns {string|null} Database ID or null if the actor is not a record
+   */
+  static getDatabaseId(actor) {
+    const folderId = actor?.folder?.id;
+    if (!folderId) return null;
+    
+    return this._getFolderMap().get(folderId) || null;
+  }
+  
+  /**
+   * Get records
+   * @param {string|null} databaseId - Database ID, or null for all databases
+   * @returns {Actor[]} Actors in the database folders
+   */
+  static getRecords(databaseId = null) {
+    const ids = this.getFolderIds(databaseId);
+    if (ids.size === 0) return [];
+    
+    return game.actors.filter(a => ids.has(a.folder?.id));
+  }
+  
+  /**
+   * Get the records the current user may see
+   * @param {string|null} databaseId - Database ID, or null for all databases
+   * @returns {Actor[]} Non-archived records with at least LIMITED permission
+   */
+  static getVisibleRecords(databaseId = null) {
+    return this.getRecords(databaseId).filter(a => a.visible && !this.isArchived(a));
+  }
+  
+  /**
+   * Check if a record is archived
+   * @param {Actor} actor - Record
+   * @returns {boolean} true if the record was archived (soft deleted)
+   */
+  static isArchived(actor) {
+    return !!actor?.getFlag(DeltaGreenUI.ID, 'archived');
+  }
+  
+  /**
+   * Get archived records
+   * @param {string|null} databaseId - Database ID, or null for all databases
+   * @returns {Actor[]} Archived records
+   */
+  static getArchivedRecords(databaseId = null) {
+    return this.getRecords(databaseId).filter(a => this.isArchived(a));
+  }
+}
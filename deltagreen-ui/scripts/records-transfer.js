@@ -0,0 +1,450 @@
+/**
+ * Records export and import for Delta Green Player UI
+ * Les records s'échangent entre mondes sous forme de paquet JSON (flags, image, historique)
+ * et s'impriment sous forme de dossier HTML autonome
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsRepository } from './records-repository.js';
+import { RecordSchemas } from './record-schemas.js';
+import { RecordsManager } from './records-manager.js';
+import { Classification } from './classification.js';
+import { UIComponents } from './ui-components.js';
+import { CaseNumbers } from './case-numbers.js';
+import { SafeHTML } from './safe-html.js';
+
+export class RecordsTransfer {
+  // Identifiant et version du format de paquet
+  static BUNDLE_FORMAT = 'deltagreen-ui-records';
+  static BUNDLE_VERSION = 1;
+  
+  // Gestion des conflits à l'import
+  static CONFLICT_MODES = {
+    skip: 'Skip existing records',
+    overwrite: 'Overwrite existing records',
+    duplicate: 'Import as duplicates'
+  };
+  
+  /**
+   * Get the flags of a record as exported by the current user
+   * Un agent n'exporte pas ce que son habilitation ne lui permet pas de lire
+   * @private
+   * @param {Actor} record - Record
+   * @returns {Object} Module flags
+   */
+  static _getExportFlags(record) {
+    const flags = foundry.utils.deepClone(record.flags[DeltaGreenUI.ID] || {});
+    if (game.user.isGM) return flags;
+    
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(record));
+    const hidden = database.fields
+      .filter(field => !Classification.canViewField(record, field.key))
+      .map(field => field.key);
+    
+    const textareas = database.fields
+      .filter(field => field.type === 'textarea' && !hidden.includes(field.key))
+      .map(field => field.key);
+    
+    for (const key of textareas) {
+      if (flags[key]) flags[key] = Classification.getVisibleText(flags[key]);
+    }
+    
+    for (const key of hidden) delete flags[key];
+    
+    // Pièces jointes au-dessus de l'habilitation
+    if (Array.isArray(flags.attachments)) {
+      flags.attachments = flags.attachments.filter(attachment => Classification.canView(attachment.level));
+    }
+    
+    // L'historique ne doit pas révéler les anciennes valeurs des champs et paragraphes masqués
+    if (Array.isArray(flags.history)) {
+      const visible = value => (typeof value === 'string' ? Classification.getVisibleText(value) : value);
+      flags.history = flags.history.map(revision => {
+        const changes = { ...revision.changes };
+        for (const key of hidden) delete changes[key];
+        
+        for (const key of textareas.filter(k => changes[k])) {
+          changes[key] = { old: visible(changes[key].old), new: visible(changes[key].new) };
+          
+          // Modification limitée à des paragraphes masqués
+          if (changes[key].old === changes[key].new) delete changes[key];
+        }
+        return { ...revision, changes };
+      }).filter(revision => Object.keys(revision.changes).length > 0);
+    }
+    
+    return flags;
+  }
+  
+  /**
+   * Get the name of a record as exported by the current user
+   * Le nom de l'acteur reprend les champs du nom : il est reconstruit sans les champs masqués
+   * @private
+   * @param {Actor} record - Record
+   * @returns {string} Actor name
+   */
+  static _getExportName(record) {
+    if (!RecordsManager.isNameHidden(record)) return record.name;
+    
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(record));
+    const values = Object.fromEntries(database.nameFields.map(key => [
+      key,
+      Classification.canViewField(record, key) ? record.getFlag(DeltaGreenUI.ID, key) : '[REDACTED]'
+    ]));
+    return RecordsManager.buildRecordName(database, record.getFlag(DeltaGreenUI.ID, 'caseNumber'), values);
+  }
+  
+  /**
+   * Build an export bundle
+   * @param {Actor[]} records - Records to export
+   * @returns {Object} Bundle
+   */
+  static buildBundle(records) {
+    return {
+      format: this.BUNDLE_FORMAT,
+      version: this.BUNDLE_VERSION,
+      exportedAt: Date.now(),
+      world: game.world.id,
+      records: records.map(record => ({
+        id: record.id,
+        name: this._getExportName(record),
+        img: record.img,
+        databaseId: RecordsRepository.getDatabaseId(record) || RecordSchemas.DEFAULT_DATABASE,
+        flags: this._getExportFlags(record)
+      }))
+    };
+  }
+  
+  /**
+   * Export records to a JSON file
+   * @param {Actor[]} records - Records to export
+   */
+  static exportRecords(records) {
+    if (records.length === 0) {
+      ui.notifications.warn("No records to export");
+      return;
+    }
+    
+    const bundle = this.buildBundle(records);
+    const filename = records.length === 1
+      ? `dg-record-${records[0].getFlag(DeltaGreenUI.ID, 'caseNumber') || records[0].id}.json`
+      : `dg-records-${UIComponents.formatTimestamp(bundle.exportedAt).replace(/\D/g, '')}.json`;
+    
+    saveDataToFile(JSON.stringify(bundle, null, 2), 'application/json', filename);
+    ui.notifications.info(`${records.length} record(s) exported`);
+  }
+  
+  /**
+   * Check that a parsed file is a records bundle
+   * @param {Object} bundle - Parsed JSON
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateBundle(bundle) {
+    if (!bundle || bundle.format !== this.BUNDLE_FORMAT) return 'Not a Delta Green UI records bundle';
+    if (bundle.version > this.BUNDLE_VERSION) return 'Bundle made by a newer version of the module';
+    if (!Array.isArray(bundle.records)) return 'Bundle contains no records';
+    return null;
+  }
+  
+  /**
+   * Find the world record an imported record conflicts with
+   * Même ID d'acteur, ou même numéro de dossier dans la même base
+   * @private
+   * @param {Object} entry - Imported record
+   * @returns {Actor|null} Conflicting record
+   */
+  static _findConflict(entry) {
+    const byId = game.actors.get(entry.id);
+    if (byId && RecordsRepository.isRecord(byId)) return byId;
+    
+    const caseNumber = entry.flags?.caseNumber;
+    if (!caseNumber) return null;
+    
+    return RecordsRepository.getRecords(entry.databaseId)
+      .find(record => String(record.getFlag(DeltaGreenUI.ID, 'caseNumber')) === String(caseNumber)) || null;
+  }
+  
+  /**
+   * Check the shape of an imported record
+   * @private
+   * @param {*} entry - Entry of bundle.records
+   * @returns {boolean} true if the entry can be imported
+   */
+  static _isValidEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return false;
+    if (typeof entry.name !== 'string' || !entry.name.trim()) return false;
+    if (entry.img !== undefined && entry.img !== null && typeof entry.img !== 'string') return false;
+    return entry.flags === undefined || entry.flags === null
+      || (typeof entry.flags === 'object' && !Array.isArray(entry.flags));
+  }
+  
+  /**
+   * Import a bundle (GM only)
+   * @param {Object} bundle - Parsed bundle
+   * @param {string} mode - Conflict handling: 'skip', 'overwrite' or 'duplicate'
+   * @returns {Promise<{created: number, overwritten: number, skipped: number, failed: number}>} Summary
+   */
+  static async importBundle(bundle, mode = 'skip') {
+    const summary = { created: 0, overwritten: 0, skipped: 0, failed: 0 };
+    if (!game.user.isGM) return summary;
+    
+    const toCreate = [];
+    const usedNumbers = CaseNumbers.getUsedNumbers();
+    
+    for (const entry of bundle.records) {
+      // Entrée mal formée : comptée en échec sans interrompre l'import
+      if (!this._isValidEntry(entry)) {
+        summary.failed++;
+        continue;
+      }
+      
+      const databaseId = RecordSchemas.DATABASES.some(db => db.id === entry.databaseId)
+        ? entry.databaseId
+        : RecordSchemas.DEFAULT_DATABASE;
+      const flags = foundry.utils.deepClone(entry.flags || {});
+      const conflict = this._findConflict({ ...entry, databaseId });
+      
+      if (conflict && mode === 'skip') {
+        summary.skipped++;
+        continue;
+      }
+      
+      if (conflict && mode === 'overwrite') {
+        try {
+          // Remplacer les flags du module sans garder les anciens champs
+          await conflict.update({
+            name: entry.name,
+            img: entry.img || conflict.img,
+            flags: { ...conflict.flags, [DeltaGreenUI.ID]: flags }
+          }, { recursive: false });
+          summary.overwritten++;
+        } catch (error) {
+          console.error(`Delta Green UI | Error overwriting record ${conflict.name}:`, error);
+          summary.failed++;
+        }
+        continue;
+      }
+      
+      // Un doublon reçoit un nouveau numéro de dossier
+      let name = entry.name;
+      if (conflict) {
+        const caseNumber = CaseNumbers.generate(databaseId, usedNumbers);
+        usedNumbers.add(caseNumber);
+        name = String(name).replace(String(flags.caseNumber), caseNumber);
+        flags.caseNumber = caseNumber;
+      } else if (flags.caseNumber) {
+        // Numéro conservé : réservé pour les doublons suivants du même lot
+        usedNumbers.add(String(flags.caseNumber));
+      }
+      
+      const folder = await RecordsRepository.ensureFolder(databaseId);
+      const actorData = {
+        name,
+        type: "npc",
+        img: entry.img || 'icons/svg/mystery-man.svg',
+        folder: folder?.id || null,
+        flags: { [DeltaGreenUI.ID]: flags }
+      };
+      
+      // Le créateur d'origine n'existe pas forcément dans ce monde
+      const creatorId = game.users.has(flags.createdBy) ? flags.createdBy : game.user.id;
+      const ownership = RecordsManager.getPolicyOwnership(creatorId);
+      if (ownership) actorData.ownership = ownership;
+      
+      toCreate.push(actorData);
+    }
+    
+    if (toCreate.length > 0) {
+      try {
+        const created = await Actor.createDocuments(toCreate);
+        summary.created += created.length;
+        summary.failed += toCreate.length - created.length;
+      } catch (error) {
+        console.error('Delta Green UI | Error creating imported records:', error);
+        summary.failed += toCreate.length;
+      }
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Open the import dialog (GM only)
+   */
+  static openImportDialog() {
+    if (!game.user.isGM) return;
+    
+    const modes = Object.entries(this.CONFLICT_MODES)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    
+    new Dialog({
+      title: "Import Records",
+      content: `<form>
+        <div class="form-group">
+          <label>Bundle File</label>
+          <input type="file" name="bundle" accept=".json,application/json">
+        </div>
+        <div class="form-group">
+          <label>Existing Records</label>
+          <select name="conflict">${modes}</select>
+        </div>
+      </form>`,
+      buttons: {
+        import: {
+          icon: '<i class="fas fa-file-import"></i>',
+          label: "Import",
+          callback: (html) => {
+            const file = $(html).find('input[name="bundle"]')[0].files[0];
+            const mode = $(html).find('select[name="conflict"]').val();
+            this._importFile(file, mode);
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: "Cancel"
+        }
+      },
+      default: "import",
+      render: (html) => {
+        // Au-dessus de l'interface CRT
+        $(html).closest('.app').css('z-index', '10000');
+      }
+    }).render(true);
+  }
+  
+  /**
+   * Read and import a bundle file
+   * @private
+   * @param {File} file - Selected file
+   * @param {string} mode - Conflict handling
+   */
+  static async _importFile(file, mode) {
+    if (!file) {
+      ui.notifications.warn("No file selected");
+      return;
+    }
+    
+    let bundle;
+    try {
+      bundle = JSON.parse(await readTextFromFile(file));
+    } catch (error) {
+      ui.notifications.error("Invalid JSON file");
+      return;
+    }
+    
+    const error = this.validateBundle(bundle);
+    if (error) {
+      ui.notifications.error(error);
+      return;
+    }
+    
+    try {
+      const summary = await this.importBundle(bundle, mode);
+      ui.notifications.info(`IMPORT COMPLETE: ${summary.created} created, ${summary.overwritten} overwritten, ${summary.skipped} skipped, ${summary.failed} failed`);
+    } catch (error) {
+      console.error('Delta Green UI | Error importing records:', error);
+      ui.notifications.error("Error importing records");
+    }
+    RecordsManager.loadRecords();
+  }
+  
+  /**
+   * Build the value of a field for the printed dossier
+   * @private
+   * @param {Actor} record - Record
+   * @param {Object} field - Schema field
+   * @returns {string} Generated HTML
+   */
+  static _renderDossierValueHTML(record, field) {
+    const redacted = '<span class="redacted">&#9608;&#9608;&#9608;&#9608;&#9608;&#9608;&#9608;&#9608;&#9608;&#9608;</span>';
+    if (!Classification.canViewField(record, field.key)) return redacted;
+    
+    const value = record.getFlag(DeltaGreenUI.ID, field.key);
+    if (field.type !== 'textarea') return SafeHTML.escape(value ?? '') || '&mdash;';
+    
+    return Classification.parseParagraphs(value).map(paragraph => {
+      if (!Classification.canView(paragraph.level)) return `<p>${redacted}</p>`;
+      return `<p>${SafeHTML.escape(paragraph.text).replace(/\n/g, '<br>')}</p>`;
+    }).join('') || '&mdash;';
+  }
+  
+  /**
+   * Build the printable dossier of a record
+   * Page HTML autonome (styles intégrés), façon dossier dactylographié
+   * @param {Actor} record - Record
+   * @returns {string} HTML document
+   */
+  static buildDossierHTML(record) {
+    const database = RecordSchemas.getDatabase(RecordsRepository.getDatabaseId(record));
+    const caseNumber = SafeHTML.escape(record.getFlag(DeltaGreenUI.ID, 'caseNumber') || '');
+    
+    // Le tampon reprend la classification la plus haute lisible par l'agent
+    const levels = database.fields
+      .map(field => Classification.getFieldLevel(record, field.key))
+      .filter(level => Classification.canView(level));
+    const stamp = Classification.getLevel(Math.max(0, ...levels)).label;
+    
+    const rows = database.fields.filter(f => f.type !== 'textarea').map(field =>
+      `<tr><th>${SafeHTML.escape(field.label.toUpperCase())}</th><td>${this._renderDossierValueHTML(record, field)}</td></tr>`
+    ).join('');
+    
+    const texts = database.fields.filter(f => f.type === 'textarea').map(field =>
+      `<h2>${SafeHTML.escape(field.label.toUpperCase())}</h2>${this._renderDossierValueHTML(record, field)}`
+    ).join('');
+    
+    const image = new URL(record.img || 'icons/svg/mystery-man.svg', window.location.href).href;
+    const printedAt = UIComponents.formatTimestamp(Date.now());
+    const agent = SafeHTML.escape(UIComponents.getAgentName(game.user.id));
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${database.title} ${caseNumber}</title>
+<style>
+  body { background: #e8e2cf; font-family: "Courier New", Courier, monospace; color: #222; margin: 0; padding: 40px; }
+  .page { background: #f7f3e6; max-width: 780px; margin: 0 auto; padding: 50px 60px; box-shadow: 0 0 12px rgba(0, 0, 0, 0.3); position: relative; }
+  .banner { text-align: center; font-weight: bold; letter-spacing: 4px; border-top: 2px solid #222; border-bottom: 2px solid #222; padding: 4px 0; }
+  .stamp { position: absolute; top: 110px; right: 50px; transform: rotate(-12deg); border: 4px double #b22222; color: #b22222; padding: 6px 14px; font-size: 22px; font-weight: bold; letter-spacing: 3px; opacity: 0.8; }
+  h1 { font-size: 22px; letter-spacing: 3px; margin: 30px 0 5px; }
+  h2 { font-size: 16px; letter-spacing: 2px; border-bottom: 1px solid #222; margin-top: 30px; }
+  .meta { font-size: 12px; margin-bottom: 20px; }
+  img { width: 140px; height: 140px; object-fit: cover; border: 1px solid #222; filter: grayscale(100%) contrast(1.2); float: right; margin: 0 0 20px 20px; }
+  table { border-collapse: collapse; width: 100%; }
+  th { text-align: left; width: 35%; padding: 4px 8px 4px 0; font-size: 13px; vertical-align: top; }
+  td { padding: 4px 0; border-bottom: 1px dotted #999; }
+  p { white-space: normal; line-height: 1.5; }
+  .redacted { background: #111; color: #111; letter-spacing: -2px; }
+  .footer { clear: both; margin-top: 40px; font-size: 11px; text-align: center; }
+  @media print { body { background: none; padding: 0; } .page { box-shadow: none; } }
+</style>
+</head>
+<body>
+<div class="page">
+  <div class="banner">${stamp}</div>
+  <div class="stamp">${stamp}</div>
+  <h1>${database.title} &mdash; CASE ${caseNumber}</h1>
+  <div class="meta">FILE: ${database.label} / PRINTED ${printedAt} BY ${agent}</div>
+  <img src="${SafeHTML.escape(image)}" alt="">
+  <table>${rows}</table>
+  ${texts}
+  <div class="footer">UNAUTHORIZED DISCLOSURE SUBJECT TO CRIMINAL SANCTIONS</div>
+  <div class="banner">${stamp}</div>
+</div>
+</body>
+</html>
+`;
+  }
+  
+  /**
+   * Download the printable dossier of a record
+   * @param {Actor} record - Record
+   */
+  static printDossier(record) {
+    if (!record) return;
+    
+    const caseNumber = record.getFlag(DeltaGreenUI.ID, 'caseNumber') || record.id;
+    saveDataToFile(this.buildDossierHTML(record), 'text/html', `dg-dossier-${caseNumber}.html`);
+  }
+}
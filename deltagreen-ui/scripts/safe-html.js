@@ -0,0 +1,118 @@
+/**
+ * Safe HTML rendering for Delta Green Player UI
+ * Tout texte saisi par un utilisateur (noms, messages, champs de records...) passe par
+ * cette couche avant d'être inséré dans le HTML du terminal : échappement du texte brut,
+ * ou liste blanche de mise en forme pour le corps des messages.
+ */
+
+export class SafeHTML {
+  // Balises autorisées dans le texte riche, avec leurs attributs
+  static ALLOWED_TAGS = {
+    B: [],
+    STRONG: [],
+    I: [],
+    EM: [],
+    U: [],
+    S: [],
+    BR: [],
+    P: [],
+    DIV: [],
+    SPAN: [],
+    UL: [],
+    OL: [],
+    LI: [],
+    A: ['href']
+  };
+  
+  // Balises supprimées avec leur contenu (les autres balises interdites gardent leur texte)
+  static DROPPED_TAGS = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'SVG', 'MATH'];
+  
+  /**
+   * Escape user-controlled text for HTML
+   * @param {*} text - Raw text
+   * @returns {string} Escaped text, safe in element content and quoted attributes
+   */
+  static escape(text) {
+    return Handlebars.escapeExpression(text ?? '');
+  }
+  
+  /**
+   * Keep only the allowed formatting of an HTML fragment
+   * @param {string} html - Untrusted HTML
+   * @returns {string} Sanitized HTML
+   */
+  static sanitize(html) {
+    // Le contenu d'un <template> est inerte : ni script exécuté, ni image chargée
+    const template = document.createElement('template');
+    template.innerHTML = String(html ?? '');
+    this._sanitizeNode(template.content);
+    return template.innerHTML;
+  }
+  
+  /**
+   * Sanitize the children of a node in place
+   * @private
+   * @param {Node} node - Parent node
+   */
+  static _sanitizeNode(node) {
+    for (const child of [...node.childNodes]) {
+      if (child.nodeType === Node.TEXT_NODE) continue;
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        child.remove();
+        continue;
+      }
+      
+      const tag = child.tagName.toUpperCase();
+      const allowed = this.ALLOWED_TAGS[tag];
+      if (!allowed) {
+        if (this.DROPPED_TAGS.includes(tag)) {
+          child.remove();
+        } else {
+          this._sanitizeNode(child);
+          child.replaceWith(...child.childNodes);
+        }
+        continue;
+      }
+      
+      for (const attribute of [...child.attributes]) {
+        if (!allowed.includes(attribute.name.toLowerCase())) child.removeAttribute(attribute.name);
+      }
+      
+      // Liens externes uniquement (pas de javascript: ni data:)
+      if (tag === 'A') {
+        if (/^https?:\/\//i.test(child.getAttribute('href') || '')) {
+          child.setAttribute('target', '_blank');
+          child.setAttribute('rel', 'noopener noreferrer');
+        } else {
+          child.removeAttribute('href');
+        }
+      }
+      
+      this._sanitizeNode(child);
+    }
+  }
+  
+  /**
+   * Get the plain text of an HTML fragment
+   * @param {string} html - HTML
+   * @returns {string} Text, with collapsed whitespace
+   */
+  static toText(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html ?? '');
+    return template.content.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Render user-written rich text (mail bodies)
+   * Mise en forme de la liste blanche, retours à la ligne et liens enrichis par Foundry (@UUID[...])
+   * @param {string} content - Untrusted content
+   * @returns {Promise<string>} Safe HTML
+   */
+  static async renderRichText(content) {
+    const html = this.sanitize(String(content ?? '').replace(/\r?\n/g, '<br>'));
+    
+    // L'enrichissement ne produit que des liens vers les documents visibles par l'utilisateur
+    return TextEditor.enrichHTML(html, { async: true, secrets: false, rolls: false, documents: true });
+  }
+}
@@ -4,6 +4,11 @@
 
 import { DeltaGreenUI } from './delta-green-ui.js';
 import { RecordsManager } from './records-manager.js';
+import { RecordsTransfer } from './records-transfer.js';
+import { RecordsCsvImport } from './records-csv-import.js';
+import { RecordLinks } from './record-links.js';
+import { RecordPresence } from './record-presence.js';
+import { SafeHTML } from './safe-html.js';
 
 export class UIComponents {
   /**
@@ -15,11 +20,8 @@ export class UIComponents {
     // Initialize events
     this.initEvents();
     
-    // Update player list
+    // Update player list (ensuite rafraîchie par le hook userConnected)
     this.updatePlayersList();
-    
-    // Mise à jour régulière de la liste des joueurs (toutes les 30 secondes)
-    setInterval(() => this.updatePlayersList(), 30000);
   }
   
   /**
@@ -81,9 +83,29 @@ export class UIComponents {
       }
     });
     
+    // Handle database selector
+    $(document).on('change', '#dg-database-select', function() {
+      RecordsManager.selectDatabase($(this).val());
+    });
+    
+    // Handle sort selector
+    $(document).on('change', '#dg-sort-select', function() {
+      RecordsManager.setSort($(this).val());
+    });
+    
+    // Handle status and tag filters
+    $(document).on('change', '#dg-status-filter, #dg-tag-filter', function() {
+      RecordsManager.setFilters($('#dg-status-filter').val(), $('#dg-tag-filter').val());
+    });
+    
+    // Handle classification change (GM only)
+    $(document).on('change', '.dg-classification-select', function() {
+      RecordsManager.setFieldClassification($(this).data('field'), Number($(this).val()));
+    });
+    
     // Handle add record button
     $(document).on('click', '#dg-add-record-button', function() {
-      RecordsManager.showRecordForm();
+      RecordsManager.addRecord();
     });
     
     // Handle save record button
@@ -93,8 +115,209 @@ export class UIComponents {
     
     // Handle cancel record button
     $(document).on('click', '#dg-cancel-record', function() {
-      RecordsManager.hideRecordForm();
+      RecordsManager.closeRecordForm();
+    });
+    
+    // Annoncer le champ en cours de saisie aux autres agents
+    $(document).on('focusin', '#dg-case-study-form .dg-field-body :input', function() {
+      RecordPresence.focus($(this).closest('.dg-field-body').data('field'));
+    });
+    
+    $(document).on('focusout', '#dg-case-study-form .dg-field-body :input', function() {
+      RecordPresence.blur($(this).closest('.dg-field-body').data('field'));
+    });
+    
+    $(document).on('click', '#dg-record-reload', function() {
+      RecordsManager.reloadRecord();
+    });
+    
+    // Track unsaved changes in the record form
+    $(document).on('input change', '#dg-case-study-form .dg-field-body :input', function() {
+      RecordsManager.markDirty();
+    });
+    
+    // Handle record selection, sans ouvrir le record
+    $(document).on('click', '.dg-record-select', function(e) {
+      e.stopPropagation();
+    });
+    
+    $(document).on('change', '.dg-record-select', function() {
+      RecordsManager.toggleRecordSelection($(this).data('record-id'), $(this).is(':checked'));
+    });
+    
+    // Handle export and import buttons
+    $(document).on('click', '#dg-export-selected-button', function() {
+      RecordsManager.exportSelected();
+    });
+    
+    $(document).on('click', '#dg-export-all-button', function() {
+      RecordsManager.exportAll();
+    });
+    
+    $(document).on('click', '#dg-import-button', function() {
+      RecordsTransfer.openImportDialog();
+    });
+    
+    $(document).on('click', '#dg-import-csv-button', function() {
+      if (game.user.isGM) new RecordsCsvImport().render(true);
+    });
+    
+    $(document).on('click', '#dg-export-record', function() {
+      RecordsManager.exportCurrent();
+    });
+    
+    $(document).on('click', '#dg-print-record', function() {
+      RecordsManager.printCurrent();
+    });
+    
+    // Handle archive record button
+    $(document).on('click', '#dg-archive-record', function() {
+      RecordsManager.archiveRecord(RecordsManager.currentRecordId);
+    });
+    
+    // Handle archive view button (GM only)
+    $(document).on('click', '#dg-archive-view-button', function() {
+      RecordsManager.toggleArchiveView();
+    });
+    
+    // Handle restore and purge of archived records (GM only), sans ouvrir le record
+    $(document).on('click', '.dg-archive-restore', function(e) {
+      e.stopPropagation();
+      RecordsManager.restoreRecord($(this).data('record-id'));
+    });
+    
+    $(document).on('click', '.dg-archive-purge', function(e) {
+      e.stopPropagation();
+      RecordsManager.purgeRecord($(this).data('record-id'));
+    });
+    
+    // Handle record links
+    $(document).on('click', '#dg-link-add-button', function() {
+      RecordsManager.addLink();
+    });
+    
+    $(document).on('click', '.dg-link-remove', function(e) {
+      e.stopPropagation();
+      RecordsManager.removeLink($(this).data('link-id'));
+    });
+    
+    $(document).on('click', '#dg-record-links .dg-link-item', function() {
+      RecordsManager.followLink($(this).data('node-id'));
+    });
+    
+    $(document).on('click', '#dg-view-graph-button', function() {
+      RecordsManager.viewGraph();
     });
+    
+    // Handle record attachments
+    $(document).on('click', '#dg-attachment-add-image', function() {
+      RecordsManager.pickAttachment('image');
+    });
+    
+    $(document).on('click', '#dg-attachment-add-document', function() {
+      RecordsManager.pickAttachment('document');
+    });
+    
+    $(document).on('click', '#dg-attachment-add-journal', function() {
+      RecordsManager.addJournalAttachment();
+    });
+    
+    $(document).on('change', '.dg-attachment-caption', function() {
+      RecordsManager.updateAttachment($(this).data('attachment-id'), { caption: $(this).val() });
+    });
+    
+    $(document).on('change', '.dg-attachment-level', function() {
+      RecordsManager.updateAttachment($(this).data('attachment-id'), { level: $(this).val() });
+    });
+    
+    $(document).on('click', '.dg-attachment-remove', function() {
+      RecordsManager.removeAttachment($(this).data('attachment-id'));
+    });
+    
+    $(document).on('click', '.dg-attachment-open', function() {
+      RecordsManager.openAttachment($(this).data('attachment-id'));
+    });
+    
+    $(document).on('click', '#dg-attachment-close', function() {
+      RecordsManager.closeAttachment();
+    });
+    
+    // Handle RELATIONS view
+    $(document).on('change', '#dg-relations-select', function() {
+      RecordLinks.showGraph($(this).val());
+    });
+    
+    $(document).on('click', '.dg-relation-node', function() {
+      RecordLinks.showGraph($(this).data('node-id'));
+    });
+    
+    $(document).on('click', '.dg-relation-open', function() {
+      const recordId = $(this).data('record-id');
+      $('.dg-menu-item[data-view="records"]').trigger('click');
+      RecordsManager.navigateToRecord(recordId);
+    });
+    
+    // Handle history button
+    $(document).on('click', '#dg-history-button', function() {
+      RecordsManager.toggleHistory();
+    });
+    
+    // Handle clicks on revisions
+    $(document).on('click', '#dg-history-list .dg-history-item', function() {
+      RecordsManager.showRevision($(this).data('revision-id'));
+    });
+    
+    // Handle restore revision button (GM only)
+    $(document).on('click', '.dg-history-restore', function() {
+      RecordsManager.restoreRevision($(this).data('revision-id'));
+    });
+  }
+  
+  /**
+   * Format a timestamp relative to now, terminal style
+   * @param {number} timestamp - Timestamp in ms
+   * @returns {string} Formatted text (e.g. "5 MIN AGO")
+   */
+  static formatRelativeTime(timestamp) {
+    const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+    
+    if (seconds < 60) return 'JUST NOW';
+    
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes} MIN AGO`;
+    
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} H AGO`;
+    
+    const days = Math.floor(hours / 24);
+    if (days < 30) return `${days} DAY${days > 1 ? 'S' : ''} AGO`;
+    
+    // Au-delà, afficher la date complète
+    return new Date(timestamp).toLocaleDateString();
+  }
+  
+  /**
+   * Format a timestamp as an absolute date, terminal style
+   * @param {number} timestamp - Timestamp in ms
+   * @returns {string} Formatted text (e.g. "2024-03-05 14:02")
+   */
+  static formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+  
+  /**
+   * Get the name shown for a user in the terminal
+   * @param {string|null} userId - User ID
+   * @returns {string} HANDLER for the GM, the agent name if the player has one, else the player name
+   */
+  static getAgentName(userId) {
+    const user = userId ? game.users.get(userId) : null;
+    if (!user) return 'UNKNOWN AGENT';
+    
+    return user.isGM ? 'HANDLER' : (user.character?.name || user.name);
   }
   
   /**
@@ -114,7 +337,7 @@ export class UIComponents {
         const characterName = player.character ? player.character.name : 'NO AGENT ASSIGNED';
         $list.append(`
           <li class="dg-result-item" data-user-id="${player.id}">
-            <span style="color: ${player.color}">${player.name}</span> - ${characterName}
+            <span style="color: ${SafeHTML.escape(player.color)}">${SafeHTML.escape(player.name)}</span> - ${SafeHTML.escape(characterName)}
           </li>
         `);
       });